@@ -0,0 +1,145 @@
+/**
+ * Admin API
+ * Lists what is running and lets operators terminate sessions, broadcast
+ * messages and drain the server before a deploy. Every route needs
+ * "Authorization: Bearer <ADMIN_TOKEN>"; without ADMIN_TOKEN set they are off.
+ * requireAdmin also guards the library's upload, edit and delete routes.
+ *
+ *   GET    /api/sessions                     list sessions (filters, pagination)
+ *   DELETE /api/admin/sessions/:sessionId    terminate a session
+ *   POST   /api/admin/broadcast              { message, sessionId? }
+ *   POST   /api/admin/drain                  { message?, terminate? }
+ *   DELETE /api/admin/drain                  accept new sessions again
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Only compare digests, so the comparison takes the same time for any token
+function tokenMatches(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (!match || !tokenMatches(match[1], expected)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+
+  next();
+}
+
+function describeSession(sessionId, session, now) {
+  return {
+    sessionId,
+    ...session.getInfo(),
+    clientId: session.clientId,
+    idleMs: now - Date.parse(session.lastActivityAt),
+    stats: session.getStats()
+  };
+}
+
+// Query filters: gameId, engine, state, minIdle and maxIdle (ms)
+function matchesFilters(entry, query) {
+  if (query.gameId && entry.gameId !== query.gameId) return false;
+  if (query.engine && entry.engine !== query.engine) return false;
+  if (query.state && entry.state !== query.state) return false;
+  if (query.minIdle && entry.idleMs < parseInt(query.minIdle, 10)) return false;
+  if (query.maxIdle && entry.idleMs > parseInt(query.maxIdle, 10)) return false;
+  return true;
+}
+
+function checkMessage(message) {
+  if (typeof message !== 'string' || !message.trim() || message.length > MAX_MESSAGE_LENGTH) {
+    return `message must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function registerAdminRoutes(app, sessions) {
+  app.get('/api/sessions', requireAdmin, (req, res) => {
+    const limit = Math.max(Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE), 1);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const now = Date.now();
+
+    const matching = Array.from(sessions, ([sessionId, session]) => describeSession(sessionId, session, now))
+      .filter(entry => matchesFilters(entry, req.query))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    res.json({
+      sessions: matching.slice(offset, offset + limit),
+      total: matching.length,
+      limit,
+      offset,
+      draining: sessions.draining
+    });
+  });
+
+  app.delete('/api/admin/sessions/:sessionId', requireAdmin, (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    session.close('terminated');
+    res.json({ success: true, message: 'Session terminated' });
+  });
+
+  app.post('/api/admin/broadcast', requireAdmin, (req, res) => {
+    const { message, sessionId } = req.body || {};
+    const invalid = checkMessage(message);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    let targets = Array.from(sessions.values());
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      targets = [session];
+    }
+
+    targets.forEach(session => session.notify(message));
+    res.json({ success: true, delivered: targets.length });
+  });
+
+  // Stop accepting sessions; optionally warn players and close what is running
+  app.post('/api/admin/drain', requireAdmin, (req, res) => {
+    const { message, terminate } = req.body || {};
+    if (message !== undefined) {
+      const invalid = checkMessage(message);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    sessions.draining = true;
+    if (message) {
+      for (const session of sessions.values()) session.notify(message);
+    }
+    if (terminate) {
+      sessions.closeAll('drained');
+    }
+
+    res.json({ draining: true, sessions: sessions.size });
+  });
+
+  app.delete('/api/admin/drain', requireAdmin, (req, res) => {
+    sessions.draining = false;
+    res.json({ draining: false, sessions: sessions.size });
+  });
+}
+
+module.exports = { registerAdminRoutes, requireAdmin };
@@ -16,6 +16,22 @@ class ZMachineCLI {
     this.rl = null;
     this.commandHistory = [];
     this.historyIndex = -1;
+    this.awaitingKey = false;
+  }
+
+  // Print a turn's output and note whether the game now wants a single key
+  showOutput(response) {
+    let output = response.output;
+    if (output.endsWith('>')) {
+      output = output.slice(0, -1).trim();
+    }
+
+    console.log(output);
+
+    this.awaitingKey = response.turnEnd === 'char_input';
+    if (this.awaitingKey) {
+      console.log('[Press Enter, type a character, or a key name such as up, down, escape or f1]');
+    }
   }
 
   makeRequest(path, method = 'GET', data = null) {
@@ -70,14 +86,7 @@ class ZMachineCLI {
     try {
       const response = await this.makeRequest('/api/sessions', 'POST', { gamePath });
       this.sessionId = response.sessionId;
-      
-      // Clean up the initial output
-      let output = response.output;
-      if (output.endsWith('>')) {
-        output = output.slice(0, -1).trim();
-      }
-      
-      console.log(output);
+      this.showOutput(response);
       return true;
     } catch (error) {
       console.error('Failed to start session:', error.message);
@@ -93,14 +102,7 @@ class ZMachineCLI {
 
     try {
       const response = await this.makeRequest(`/api/sessions/${this.sessionId}/input`, 'POST', { command });
-      
-      // Clean up the output
-      let output = response.output;
-      if (output.endsWith('>')) {
-        output = output.slice(0, -1).trim();
-      }
-      
-      console.log(output);
+      this.showOutput(response);
       return true;
     } catch (error) {
       if (error.message.includes('Session not found') || error.message.includes('404')) {
@@ -117,6 +119,20 @@ class ZMachineCLI {
     }
   }
 
+  // An empty line is Enter; longer input is a key name like "up" or "f1"
+  async sendKey(line) {
+    const key = line === '' ? 'enter' : line;
+
+    try {
+      const response = await this.makeRequest(`/api/sessions/${this.sessionId}/key`, 'POST', { key });
+      this.showOutput(response);
+      return true;
+    } catch (error) {
+      console.error('Error sending key:', error.message);
+      return false;
+    }
+  }
+
   async cleanup() {
     if (this.sessionId) {
       try {
@@ -154,6 +170,12 @@ Object interaction:
   examine [object]  - Look at something closely
   read [item]       - Read something
   
+Key prompts ("press any key", menus):
+  Enter             - Send Enter
+  a single char     - Send that key
+  up, down, left, right, escape, backspace, f1..f12
+                    - Send a named key
+
 Controls:
   Arrow up/down     - Navigate command history
   Ctrl+C           - Exit and clean up
@@ -172,6 +194,13 @@ Controls:
     // Handle command history
     this.rl.on('line', (line) => {
       const command = line.trim();
+
+      if (this.awaitingKey) {
+        this.sendKey(line.length === 1 ? line : command).then(() => {
+          this.rl.prompt();
+        });
+        return;
+      }
       
       if (!command) {
         this.rl.prompt();
@@ -275,7 +304,7 @@ Usage:
 
 Options:
   --server <url>    Server URL (default: http://localhost:3000)
-  --game <path>     Game file path (optional)
+  --game <game>     Game ID, file name or /games/... path (optional)
   --help, -h        Show this help
 
 Examples:
@@ -285,7 +314,7 @@ Examples:
 
 Environment Variables:
   ZMACHINE_SERVER   Default server URL
-  ZMACHINE_GAME     Default game path
+  ZMACHINE_GAME     Default game
   `);
 }
 
@@ -0,0 +1,187 @@
+/**
+ * Story dictionaries
+ * Decodes the vocabulary in a Z-code story's dictionary table, so it can be
+ * listed and used for completion without starting an interpreter. Words are
+ * stored truncated to 6 Z-characters (V1-3) or 9 (V4+); typed words are
+ * truncated the same way before they are looked up.
+ */
+
+// Alphabet rows A0, A1 and A2, indexed by Z-character minus 6. A2 starts
+// with the escape to a 10-bit ZSCII code, then newline from V2 on.
+const A0 = 'abcdefghijklmnopqrstuvwxyz';
+const A1 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const A2_V1 = ' 0123456789.,!?_#\'"/\\<-:()';
+const A2 = ' \n0123456789.,!?_#\'"/\\-:()';
+
+// ZSCII 155-223 without a Unicode translation table
+const EXTRA_CHARACTERS = 'äöüÄÖÜß»«ëïÿËÏáéíóúýÁÉÍÓÚÝàèìòùÀÈÌÒÙâêîôûÂÊÎÔÛåÅøØãñõÃÑÕæÆçÇþðÞÐ£œŒ¡¿';
+
+function alphabets(story) {
+  const version = story[0];
+  const table = version >= 5 ? story.readUInt16BE(0x34) : 0;
+  if (table) {
+    const row = n => Array.from(story.subarray(table + n * 26, table + n * 26 + 26), code => String.fromCharCode(code));
+    const custom = [row(0), row(1), row(2)];
+    // The escape and newline keep their places in a custom A2
+    custom[2][0] = ' ';
+    custom[2][1] = '\n';
+    return custom.map(chars => chars.join(''));
+  }
+  return [A0, A1, version === 1 ? A2_V1 : A2];
+}
+
+// Unicode for a ZSCII code, using the story's translation table if it has one
+function zsciiToText(story, code) {
+  if (code >= 32 && code <= 126) return String.fromCharCode(code);
+  if (code === 13) return '\n';
+  if (code < 155 || code > 251) return '';
+
+  const extension = story[0] >= 5 ? story.readUInt16BE(0x36) : 0;
+  const unicodeTable = extension && story.readUInt16BE(extension) >= 3 ? story.readUInt16BE(extension + 6) : 0;
+  if (unicodeTable) {
+    const index = code - 155;
+    return index < story[unicodeTable] ? String.fromCharCode(story.readUInt16BE(unicodeTable + 1 + index * 2)) : '';
+  }
+  return EXTRA_CHARACTERS[code - 155] || '';
+}
+
+// Split packed words into Z-characters
+function unpack(story, address, words) {
+  const zchars = [];
+  for (let i = 0; i < words; i++) {
+    const word = story.readUInt16BE(address + i * 2);
+    zchars.push((word >> 10) & 0x1f, (word >> 5) & 0x1f, word & 0x1f);
+  }
+  return zchars;
+}
+
+// Decode Z-characters to text. Dictionary words have no abbreviations.
+function decode(story, zchars) {
+  const version = story[0];
+  const rows = alphabets(story);
+  let text = '';
+  let lock = 0;
+  let shift = null;
+
+  for (let i = 0; i < zchars.length; i++) {
+    const z = zchars[i];
+    const row = shift !== null ? shift : lock;
+    shift = null;
+
+    if (z === 0) {
+      text += ' ';
+    } else if (z === 1 && version === 1) {
+      text += '\n';
+    } else if (z < 6) {
+      if (version <= 2) {
+        // Z-characters 2 and 3 shift up or down for one character, 4 and 5 for good
+        const step = z === 2 || z === 4 ? 1 : 2;
+        if (z === 2 || z === 3) shift = (lock + step) % 3;
+        else if (z === 4 || z === 5) lock = (lock + step) % 3;
+      } else if (z === 4 || z === 5) {
+        shift = z - 3;
+      }
+    } else if (row === 2 && z === 6) {
+      if (i + 2 < zchars.length) text += zsciiToText(story, (zchars[i + 1] << 5) | zchars[i + 2]);
+      i += 2;
+    } else {
+      text += rows[row][z - 6];
+    }
+  }
+  return text;
+}
+
+// Encode a word as the dictionary would store it, truncated to `length` Z-characters
+function encode(story, word, length) {
+  const version = story[0];
+  const [a0, , a2] = alphabets(story);
+  // Into A2 for one character: 5 from V3 on, 3 (shift down) before
+  const toA2 = version >= 3 ? 5 : 3;
+  const zchars = [];
+
+  for (const ch of word) {
+    const inA0 = a0.indexOf(ch);
+    const inA2 = a2.indexOf(ch, 2);
+    if (inA0 >= 0) {
+      zchars.push(inA0 + 6);
+    } else if (inA2 >= 0) {
+      zchars.push(toA2, inA2 + 6);
+    } else {
+      const code = ch.charCodeAt(0);
+      zchars.push(toA2, 6, (code >> 5) & 0x1f, code & 0x1f);
+    }
+    if (zchars.length >= length) break;
+  }
+
+  while (zchars.length < length) zchars.push(5);
+  return zchars.slice(0, length);
+}
+
+/**
+ * Read a story's dictionary.
+ * Returns { separators, wordLength, words } with words in table order;
+ * wordLength is in Z-characters.
+ */
+function readDictionary(story) {
+  const address = story.readUInt16BE(0x08);
+  const separatorCount = story[address];
+  const separators = Array.from(story.subarray(address + 1, address + 1 + separatorCount), code => zsciiToText(story, code));
+
+  const tableStart = address + 1 + separatorCount;
+  const entryLength = story[tableStart];
+  // A negative count marks an unsorted table; the entries are the same
+  const count = Math.abs(story.readInt16BE(tableStart + 1));
+  const textWords = story[0] <= 3 ? 2 : 3;
+
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    const entry = tableStart + 3 + i * entryLength;
+    if (entry + textWords * 2 > story.length) break;
+    words.push(decode(story, unpack(story, entry, textWords)));
+  }
+
+  return { separators, wordLength: textWords * 3, words };
+}
+
+/**
+ * Lookups against one story's dictionary: words(), tokenize(), normalize() and has().
+ * Typed words are lowercased and truncated the way the game's parser would see them.
+ */
+class Dictionary {
+  constructor(story) {
+    this.story = story;
+    const { separators, wordLength, words } = readDictionary(story);
+    this.separators = separators;
+    this.wordLength = wordLength;
+    this.words = words;
+    this.known = new Set(words);
+  }
+
+  // Split a command into words at spaces and the game's separators, which are words themselves
+  tokenize(text) {
+    const tokens = [];
+    let current = '';
+    for (const ch of String(text).toLowerCase()) {
+      if (ch === ' ' || ch === '\t' || this.separators.includes(ch)) {
+        if (current) tokens.push(current);
+        if (this.separators.includes(ch)) tokens.push(ch);
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current) tokens.push(current);
+    return tokens;
+  }
+
+  // A typed word as the dictionary stores it
+  normalize(word) {
+    return decode(this.story, encode(this.story, word.toLowerCase(), this.wordLength));
+  }
+
+  has(word) {
+    return this.known.has(this.normalize(word));
+  }
+}
+
+module.exports = { Dictionary, readDictionary };
@@ -0,0 +1,338 @@
+/**
+ * dfrotz engine
+ * Runs each session as a dfrotz subprocess, so it supports every story
+ * version frotz does. Requires the dfrotz binary on PATH.
+ * Each session runs with its own random seed, so forks can replay its
+ * inputs into a new process and arrive at the same state.
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const quetzal = require('../quetzal');
+const { EngineSession, SessionError } = require('./session');
+const { extractStatusLine } = require('./status');
+
+const DFROTZ = process.env.DFROTZ_PATH || 'dfrotz';
+
+// Upper bounds on how long to wait for dfrotz to reach a prompt
+const STARTUP_TIMEOUT = 10000;
+const TURN_TIMEOUT = parseInt(process.env.DFROTZ_TURN_TIMEOUT, 10) || 5000;
+
+// Prompts that show dfrotz is waiting for input
+const LINE_PROMPT = /(?:^|\n)> ?$/;
+const FILE_PROMPT = /file ?name[^\n]*: ?$/i;
+// dfrotz reads keys as a line; special keys are backslash escapes
+const DFROTZ_KEYS = {
+  8: '\\b', 13: '', 27: '\\e',
+  129: '\\u', 130: '\\d', 131: '\\l', 132: '\\r',
+  133: '\\1', 134: '\\2', 135: '\\3', 136: '\\4', 137: '\\5',
+  138: '\\6', 139: '\\7', 140: '\\8', 141: '\\9', 142: '\\0'
+};
+
+const KEY_PROMPT = /(?:\[MORE\]|\*\*\*MORE\*\*\*|\[(?:press|hit) any key[^\n]*)\s*$/i;
+
+// Z-Machine session using dfrotz subprocess
+class DFrotzSession extends EngineSession {
+  constructor(game, options = {}) {
+    // Snapshots are in-game saves, too slow for every turn; frotz does its own undo
+    super('dfrotz', game, { ...options, undoDepth: 0 });
+    this.restoreFile = null;
+    // dfrotz needs a file path; stories unwrapped from a container get a temp copy
+    this.storyFile = game.container && game.container !== 'zcode'
+      ? writeTempFile(`story.z${this.story[0]}`, this.story)
+      : this.storyPath;
+    this.proc = null;
+    this.inputBuffer = '';
+    this.pending = '';
+    this.waiter = null;
+    this.exited = false;
+    this.ready = false;
+    this.turnTimeout = options.turnTimeout || TURN_TIMEOUT;
+    // Forks start from the same save and seed and replay the command log
+    this.forkByReplay = true;
+    this.seed = options.seed || crypto.randomInt(1, 32768);
+    this.initialQuetzal = options.quetzal || null;
+
+    if (options.quetzal) {
+      // Check an uploaded save against the story before handing it to dfrotz
+      quetzal.readQuetzal(options.quetzal, this.story);
+      this.writeRestoreFile(options.quetzal);
+    }
+  }
+
+  writeRestoreFile(data) {
+    this.restoreFile = writeTempFile('restore.qzl', data);
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const args = [
+        '-p',           // Plain ASCII output only
+        '-m',           // Turn off MORE prompts
+        '-x',           // Expand abbreviations
+        '-s', String(this.seed)  // Repeatable random numbers
+      ];
+      if (this.restoreFile) {
+        args.push('-L', this.restoreFile);  // Resume from a Quetzal save
+      }
+      args.push(this.storyFile);
+
+      // Start dfrotz as a subprocess
+      this.ready = false;
+      this.exited = false;
+      this.pending = '';
+      const proc = spawn(DFROTZ, args, {
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      this.proc = proc;
+
+      // Everything dfrotz prints accumulates until a turn claims it
+      proc.stdout.on('data', (data) => {
+        this.pending += data.toString();
+        if (this.waiter) this.waiter();
+      });
+
+      proc.stderr.on('data', (data) => {
+        console.error('dfrotz stderr:', data.toString());
+      });
+
+      // Writing to a dfrotz that has just died fails with EPIPE; treat it as the exit,
+      // which the close handler then finishes reporting
+      proc.stdin.on('error', (err) => {
+        if (proc !== this.proc || this.exited) return;
+        console.log(`dfrotz input failed: ${err.code || err.message}`);
+        this.exited = true;
+        this.exitDetails = { reason: 'error' };
+        if (this.waiter) this.waiter();
+      });
+
+      proc.on('error', (err) => {
+        reject(new Error(`Failed to start dfrotz: ${err.message}`));
+      });
+
+      proc.on('close', (code) => {
+        if (code !== 0 && code !== null) {
+          console.log(`dfrotz exited with code ${code}`);
+        }
+        // Ignore processes replaced by a restore or stopped by cleanup()
+        if (proc !== this.proc) return;
+        this.exited = true;
+        // A clean exit is the game stopping; anything else is dfrotz failing
+        this.exitDetails = code === 0 ? { exitCode: code } : { reason: 'error', exitCode: code };
+        if (this.waiter) {
+          // The turn in progress reports the exit when it is published
+          this.waiter();
+        } else if (this.ready) {
+          // Died between turns, with nobody waiting on it
+          this.endFromExit();
+        }
+      });
+
+      this.collectTurn(STARTUP_TIMEOUT).then((output) => {
+        this.ready = true;
+        this.outputBuffer = this.takeStatusLine(output);
+        if (this.turnEnd === 'exited') this.endFromExit();
+        resolve(this.outputBuffer);
+      });
+    });
+  }
+
+  // Move dfrotz's status line out of the output and into this.status
+  takeStatusLine(output) {
+    const extracted = extractStatusLine(output);
+    if (extracted.status) this.status = extracted.status;
+    return extracted.output;
+  }
+
+  // How the output collected so far ends, or null if dfrotz is still busy
+  detectTurnEnd() {
+    if (LINE_PROMPT.test(this.pending) || FILE_PROMPT.test(this.pending)) return 'line_input';
+    if (KEY_PROMPT.test(this.pending)) return 'char_input';
+    if (this.exited) return 'exited';
+    return null;
+  }
+
+  // Resolve with the turn's output once dfrotz waits for input, exits or times out
+  collectTurn(timeout) {
+    return new Promise((resolve) => {
+      const finish = (turnEnd) => {
+        clearTimeout(timer);
+        this.waiter = null;
+        const output = this.pending;
+        this.pending = '';
+        this.turnEnd = turnEnd;
+        resolve(output);
+      };
+
+      const timer = setTimeout(() => finish('timeout'), timeout);
+      this.waiter = () => {
+        const turnEnd = this.detectTurnEnd();
+        if (turnEnd) finish(turnEnd);
+      };
+      this.waiter();
+    });
+  }
+
+  sendCommand(command) {
+    this.turns++;
+    return this.exchange(command);
+  }
+
+  // Write a line to dfrotz and collect what it prints back
+  async exchange(command) {
+    if (!this.proc || this.proc.killed || this.exited) {
+      throw new Error('Process not running');
+    }
+
+    // Output that arrived after a timed-out turn is delivered with this one
+    const late = this.pending;
+    this.pending = '';
+
+    this.proc.stdin.write(command + '\n');
+    let output = await this.collectTurn(this.turnTimeout);
+
+    // Clean up the output; each turn's status line is at its own top
+    output = output.replace(/^[^\n]*\n/, ''); // Remove echo of command
+    output = this.takeStatusLine(late) + this.takeStatusLine(output);
+
+    this.outputBuffer = output;
+    return output;
+  }
+
+  sendKey(key) {
+    const text = key.zscii >= 32 && key.zscii <= 126 ? key.char : DFROTZ_KEYS[key.zscii];
+    if (text === undefined) {
+      throw new SessionError(`dfrotz cannot send the ${key.name} key`, 400);
+    }
+    return this.exchange(text);
+  }
+
+  // Give a turn that timed out longer to finish; dfrotz may just be slow
+  async finishSlowTurn(output) {
+    if (this.turnEnd !== 'timeout') return output;
+    return output + await this.collectTurn(STARTUP_TIMEOUT);
+  }
+
+  // Save through dfrotz's own save command, which writes Quetzal. The save
+  // dialogue is not a turn: what the session shows is kept as it was.
+  async exportQuetzal() {
+    if (this.turnEnd !== 'line_input') {
+      throw new SessionError('The game can only be saved while it waits for a command', 409);
+    }
+
+    const shown = { outputBuffer: this.outputBuffer, status: this.status };
+    const saveFile = path.join(os.tmpdir(), `zmachine-${crypto.randomUUID()}.qzl`);
+
+    try {
+      const prompt = await this.finishSlowTurn(await this.exchange('save'));
+      if (!FILE_PROMPT.test(prompt)) {
+        // Back at the game's prompt, so the session carries on; otherwise dfrotz is stuck
+        if (this.turnEnd === 'line_input') {
+          throw new SessionError('The game did not ask for a file name when told to save', 409);
+        }
+        throw new Error('dfrotz did not reach its save prompt');
+      }
+
+      await this.finishSlowTurn(await this.exchange(saveFile));
+      if (!fs.existsSync(saveFile)) {
+        throw new Error('Game did not write a save file');
+      }
+      const data = fs.readFileSync(saveFile);
+      quetzal.readQuetzal(data, this.story);
+      return data;
+    } finally {
+      fs.rmSync(saveFile, { force: true });
+      // turnEnd stays as dfrotz left it: line_input once the dialogue is done
+      Object.assign(this, shown);
+    }
+  }
+
+  snapshot() {
+    return this.exportQuetzal();
+  }
+
+  // Restart dfrotz from the saved Quetzal state
+  restore(data) {
+    this.cleanup();
+    this.writeRestoreFile(data);
+    return this.start();
+  }
+
+  // Restarts begin the story afresh, not from the save the session started with
+  reset() {
+    this.initialQuetzal = null;
+  }
+
+  forkOptions() {
+    return { quetzal: this.initialQuetzal, seed: this.seed };
+  }
+
+  getStats() {
+    const pid = this.proc ? this.proc.pid : null;
+    return { ...super.getStats(), pid, rssBytes: pid ? readRss(pid) : null };
+  }
+
+  cleanup() {
+    if (this.restoreFile) {
+      fs.rmSync(this.restoreFile, { force: true });
+      this.restoreFile = null;
+    }
+    if (this.proc) {
+      this.proc.stdin.end();
+      this.proc.kill();
+      this.proc = null;
+    }
+  }
+
+  close(reason) {
+    super.close(reason);
+    if (this.storyFile !== this.storyPath) {
+      fs.rmSync(this.storyFile, { force: true });
+    }
+  }
+}
+
+// Resident memory of a process from /proc, or null where there is no /proc
+function readRss(pid) {
+  try {
+    const match = /^VmRSS:\s*(\d+) kB/m.exec(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+    return match ? parseInt(match[1], 10) * 1024 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeTempFile(suffix, data) {
+  const file = path.join(os.tmpdir(), `zmachine-${crypto.randomUUID()}-${suffix}`);
+  fs.writeFileSync(file, data);
+  return file;
+}
+
+// Look for an executable dfrotz on PATH
+function isAvailable() {
+  const candidates = path.isAbsolute(DFROTZ)
+    ? [DFROTZ]
+    : (process.env.PATH || '').split(path.delimiter).map(dir => path.join(dir, DFROTZ));
+
+  for (const candidate of candidates) {
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return { available: true };
+    } catch (e) {
+      // keep looking
+    }
+  }
+  return { available: false, reason: `${DFROTZ} not found on PATH` };
+}
+
+module.exports = {
+  name: 'dfrotz',
+  description: 'dfrotz subprocess per session',
+  quetzal: true,
+  isAvailable,
+  createSession: (game, options) => new DFrotzSession(game, options),
+  DFrotzSession
+};
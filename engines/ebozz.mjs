@@ -0,0 +1,763 @@
+/**
+ * ebozz engine
+ * Runs Z-code in-process with the ebozz interpreter. Each turn runs under an
+ * instruction and wall-clock budget, so a story stuck in a loop stops with a
+ * turn_aborted result instead of holding up every other session.
+ */
+
+import Game from 'ebozz/dist/ebozz.js';
+import Log from 'ebozz/dist/log.js';
+import quetzal from '../quetzal.js';
+import sessionModule from './session.js';
+import statusModule from './status.js';
+import objectsModule from './objects.js';
+
+const { EngineSession, SessionError } = sessionModule;
+const { scoreStatus, timeStatus, parseStatusLine } = statusModule;
+const { ObjectTable } = objectsModule;
+
+// Slot used by the game's own save/restore commands
+const STORY_SLOT = 'story';
+
+// Per-turn limits: instructions run, and ms of wall-clock time; 0 turns a limit off.
+// Sessions may ask for lower limits, not higher ones.
+const INSTRUCTION_BUDGET = readLimit('EBOZZ_INSTRUCTION_BUDGET', 5000000);
+const TURN_TIMEOUT = readLimit('EBOZZ_TURN_TIMEOUT', 5000);
+// Instructions between checks of the clock
+const CLOCK_INTERVAL = 1024;
+
+// Screen size reported to games
+const SCREEN_ROWS = 25;
+const SCREEN_COLS = 80;
+
+// set_text_style bits, and set_colour numbers (0 = keep current, 1 = default)
+const TEXT_STYLES = [[1, 'reverse'], [2, 'bold'], [4, 'italic'], [8, 'fixed']];
+const COLORS = {
+  2: 'black', 3: 'red', 4: 'green', 5: 'yellow', 6: 'blue', 7: 'magenta',
+  8: 'cyan', 9: 'white', 10: 'lightgrey', 11: 'grey', 12: 'darkgrey'
+};
+
+function readLimit(name, fallback) {
+  return process.env[name] !== undefined ? parseInt(process.env[name], 10) || 0 : fallback;
+}
+
+// The requested limit, capped at the server's unless that is off
+function capLimit(requested, limit) {
+  if (!limit) return requested || 0;
+  return Math.min(requested || limit, limit);
+}
+
+// Thrown from inside the interpreter loop when a turn runs over its budget
+class TurnAborted extends Error {
+  constructor(reason) {
+    super(`Turn ran over its ${reason} budget`);
+    this.name = 'TurnAborted';
+    this.reason = reason;
+  }
+}
+
+// Screen that captures output: the lower window as a scrolling transcript in
+// this.output (plus styled runs in this.runs), the upper window (V3+ split
+// screen) as a character grid, and what the game sends to its own transcript
+// (output stream 2) in this.script
+class APIScreen extends (await import('ebozz/dist/Screen.js').then(m => m.ScreenBase || m.default || m)) {
+  constructor(log, version) {
+    super(log, 'APIScreen');
+    this.version = version;
+    this.output = '';
+    this.runs = [];
+    this.style = [];
+    this.foreground = null;
+    this.background = null;
+    this.window = 0;
+    this.upper = [];
+    this.cursor = { row: 0, col: 0 };
+    this.scripting = false;
+    this.script = '';
+  }
+
+  getSize() {
+    return { rows: SCREEN_ROWS, cols: SCREEN_COLS };
+  }
+
+  print(_game, str) {
+    if (this.window === 1) {
+      this.printUpper(str);
+    } else {
+      this.output += str;
+      this.appendRun(str);
+      if (this.isScripting(_game)) this.script += str;
+    }
+  }
+
+  // Stream 2 is on after output_stream 2, or while the game sets header Flags 2 bit 0
+  isScripting(game) {
+    return this.scripting || Boolean(game && (game.getByte(0x11) & 0x01));
+  }
+
+  enableOutputStream(game, stream, table, width) {
+    if (stream === 2) {
+      this.scripting = true;
+    } else if (super.enableOutputStream) {
+      super.enableOutputStream(game, stream, table, width);
+    }
+  }
+
+  disableOutputStream(game, stream, table, width) {
+    if (stream === 2) {
+      this.scripting = false;
+    } else if (super.disableOutputStream) {
+      super.disableOutputStream(game, stream, table, width);
+    }
+  }
+
+  // Extend the last run if the style is unchanged, otherwise start a new one
+  appendRun(text) {
+    const last = this.runs[this.runs.length - 1];
+    if (last && last.style.join() === this.style.join() &&
+        last.foreground === this.foreground && last.background === this.background) {
+      last.text += text;
+      return;
+    }
+    this.runs.push({
+      text,
+      style: this.style,
+      foreground: this.foreground,
+      background: this.background
+    });
+  }
+
+  clearOutput() {
+    this.output = '';
+    this.runs = [];
+    this.script = '';
+  }
+
+  // Style 0 is roman; other styles combine with the ones already set
+  setTextStyle(_game, style) {
+    if (style === 0) {
+      this.style = [];
+      return;
+    }
+    const names = TEXT_STYLES.filter(([bit, name]) => (style & bit) || this.style.includes(name));
+    this.style = names.map(([, name]) => name);
+  }
+
+  setTextColors(_game, _window, foreground, background) {
+    if (foreground === 1) this.foreground = null;
+    else if (COLORS[foreground]) this.foreground = COLORS[foreground];
+
+    if (background === 1) this.background = null;
+    else if (COLORS[background]) this.background = COLORS[background];
+  }
+
+  // Write at the cursor; text past the right edge or window bottom is clipped
+  printUpper(str) {
+    for (const ch of str) {
+      if (ch === '\n') {
+        this.cursor = { row: this.cursor.row + 1, col: 0 };
+        continue;
+      }
+      const row = this.upper[this.cursor.row];
+      if (row && this.cursor.col < SCREEN_COLS) {
+        row[this.cursor.col] = ch;
+      }
+      this.cursor.col++;
+    }
+  }
+
+  blankRow() {
+    return new Array(SCREEN_COLS).fill(' ');
+  }
+
+  splitWindow(_game, lines) {
+    const height = Math.max(0, Math.min(lines, SCREEN_ROWS));
+    this.upper = this.upper.slice(0, height);
+    while (this.upper.length < height) this.upper.push(this.blankRow());
+
+    // V3 clears the upper window whenever it is split
+    if (this.version === 3) {
+      this.upper = this.upper.map(() => this.blankRow());
+    }
+    if (this.cursor.row >= height) {
+      this.cursor = { row: 0, col: 0 };
+    }
+  }
+
+  setOutputWindow(_game, windowId) {
+    this.window = windowId;
+    if (windowId === 1) {
+      this.cursor = { row: 0, col: 0 };
+    }
+  }
+
+  getOutputWindow(_game) {
+    return this.window;
+  }
+
+  // Lines and columns are 1-based; only the upper window has a cursor we track
+  setCursorPosition(_game, line, column, _windowId) {
+    this.cursor = { row: line - 1, col: column - 1 };
+  }
+
+  // -1 unsplits and clears both windows, -2 clears both, 0 lower, 1 upper
+  clearWindow(_game, windowId) {
+    if (windowId === -1) {
+      this.upper = [];
+      this.window = 0;
+    }
+    if (windowId === -1 || windowId === -2 || windowId === 1) {
+      this.upper = this.upper.map(() => this.blankRow());
+      this.cursor = { row: 0, col: 0 };
+    }
+    if (windowId === -1 || windowId === -2 || windowId === 0) {
+      this.clearOutput();
+    }
+  }
+
+  // erase_line 1 clears from the cursor to the end of the line
+  clearLine(_game, value) {
+    const row = this.upper[this.cursor.row];
+    if (value === 1 && this.window === 1 && row) {
+      row.fill(' ', Math.min(this.cursor.col, SCREEN_COLS));
+    }
+  }
+
+  upperLines() {
+    return this.upper.map(row => row.join('').trimEnd());
+  }
+
+  // Called by Game.updateStatusBar() with the room name and score/time text
+  updateStatusBar(lhs, rhs) {
+    this.statusBar = { lhs, rhs };
+  }
+
+  getInputFromUser(game, input_state) {
+    // Store the input state for later use
+    this.pendingInputState = input_state;
+    this.gameInstance = game;
+
+    // Check if we have queued input
+    if (this.inputQueue && this.inputQueue.length > 0) {
+      const input = this.inputQueue.shift();
+      this.log.debug(`API: Processing queued input: "${input}"`);
+      game.continueAfterUserInput(input_state, input);
+      return input;
+    }
+
+    // No input yet - will be provided via setPendingInput
+    this.log.debug('API: Waiting for input...');
+    return '';
+  }
+
+  // read_char: wait for a key from the /key route
+  getKeyFromUser(game, input_state) {
+    this.pendingKeyState = input_state;
+    this.gameInstance = game;
+    this.log.debug('API: Waiting for key...');
+  }
+
+  setPendingKey(key) {
+    this.log.debug(`API: Processing key: ${key.name}`);
+    this.pendingKeyState = null;
+    this.gameInstance.continueAfterKeyPress(key.char);
+  }
+
+  setPendingInput(input) {
+    if (this.pendingInputState && this.gameInstance) {
+      this.log.debug(`API: Processing pending input: "${input}"`);
+      this.gameInstance.continueAfterUserInput(this.pendingInputState, input);
+      this.pendingInputState = null;
+    } else {
+      // Queue it for when input_state is available
+      if (!this.inputQueue) this.inputQueue = [];
+      this.inputQueue.push(input);
+    }
+  }
+}
+
+// ebozz storage backend that routes in-story save/restore into the session's slots
+class SlotStorage {
+  constructor(session) {
+    this.session = session;
+  }
+
+  // While a Quetzal export runs the game's save, the state goes to it instead of the slot
+  saveSnapshot(game) {
+    if (this.session.quetzalCapture) {
+      this.session.quetzalCapture(game);
+      return;
+    }
+    this.session.writeSlot(STORY_SLOT, {
+      buffer: game.snapshotToBuffer(),
+      inputState: null,
+      stackBases: this.session.stackBasesOf(game)
+    });
+  }
+
+  loadSnapshot(_game) {
+    const slot = this.session.saves.get(STORY_SLOT);
+    if (!slot) {
+      this.session.screen.print(null, '[No saved game in slot "' + STORY_SLOT + '".]\n');
+      return null;
+    }
+    // ebozz rebuilds the call stack from the snapshot; its frames get their bases back
+    // before the next instruction runs
+    this.session.pendingStackBases = slot.data.stackBases || [];
+    return Game.readSnapshotFromBuffer(slot.data.buffer);
+  }
+}
+
+// Continue a restored Quetzal game as if its save instruction had just succeeded.
+// The saved PC points at the save's branch data (V1-3) or store variable (V4+).
+function resumeAfterQuetzal(game, version, pc) {
+  if (version >= 4) {
+    game._pc = pc + 1;
+    game.storeVariable(game.getByte(pc), 2);
+    return;
+  }
+
+  const first = game.getByte(pc);
+  let offset;
+  let next;
+  if (first & 0x40) {
+    offset = first & 0x3f;
+    next = pc + 1;
+  } else {
+    offset = ((first & 0x3f) << 8) | game.getByte(pc + 1);
+    if (offset & 0x2000) offset -= 0x4000;
+    next = pc + 2;
+  }
+
+  if (!(first & 0x80)) {
+    game._pc = next;
+  } else if (offset === 0 || offset === 1) {
+    throw new Error('Save instruction returns directly; cannot resume');
+  } else {
+    game._pc = next + offset - 2;
+  }
+}
+
+class ZMachineSession extends EngineSession {
+  constructor(game, options = {}) {
+    super('ebozz', game, options);
+    this.log = new Log(false);
+    this.screen = new APIScreen(this.log, this.story[0]);
+    this.storage = new SlotStorage(this);
+    this.instructionBudget = capLimit(options.instructionBudget, INSTRUCTION_BUDGET);
+    this.turnTimeout = capLimit(options.turnTimeout, TURN_TIMEOUT);
+    // Where each call frame's part of ebozz's single evaluation stack starts,
+    // by frame; Quetzal files keep a stack per frame (see trackFrames)
+    this.stackBases = new WeakMap();
+    this.pendingStackBases = null;
+    this.quetzalCapture = null;
+    this.game = this.meter(new Game(this.story, this.log, this.screen, this.storage));
+    this.quetzal = options.quetzal || null;
+    this.started = false;
+    this.executing = false;
+    // The error that stopped the game, if it did not quit by itself
+    this.failure = null;
+    // Instruction counts, for the admin stats
+    this.turnInstructions = 0;
+    this.turnStartedAt = 0;
+    this.instructions = 0;
+    this.lastTurn = null;
+    this.maxTurnInstructions = 0;
+    this.abortedTurns = 0;
+  }
+
+  // Count the instructions a game runs and stop the turn once it is over budget
+  meter(game) {
+    const execute = game.executeInstruction.bind(game);
+    game.executeInstruction = () => {
+      if (this.pendingStackBases) {
+        this.applyStackBases(game, this.pendingStackBases);
+        this.pendingStackBases = null;
+      }
+      this.turnInstructions++;
+      if (this.instructionBudget && this.turnInstructions > this.instructionBudget) {
+        throw new TurnAborted('instruction');
+      }
+      if (this.turnTimeout && this.turnInstructions % CLOCK_INTERVAL === 0 &&
+          Date.now() - this.turnStartedAt > this.turnTimeout) {
+        throw new TurnAborted('time');
+      }
+      return execute();
+    };
+
+    // Interpreters that run the restart opcode through restart() let the session see it
+    if (typeof game.restart === 'function') {
+      const restart = game.restart.bind(game);
+      game.restart = (...args) => {
+        this.restartedInGame = true;
+        return restart(...args);
+      };
+    }
+    this.trackFrames(game);
+    return game;
+  }
+
+  // Note the evaluation stack depth as each routine is called: its operands
+  // are already taken, so everything above that depth is the new frame's
+  trackFrames(game) {
+    const track = (frames) => {
+      frames.push = (...added) => {
+        // Frames an in-story restore rebuilds get their saved bases instead
+        if (!this.pendingStackBases) {
+          for (const frame of added) this.stackBases.set(frame, game._stack.length);
+        }
+        return Array.prototype.push.apply(frames, added);
+      };
+      return frames;
+    };
+
+    let frames = track(game._callstack);
+    Object.defineProperty(game, '_callstack', {
+      configurable: true,
+      enumerable: true,
+      get: () => frames,
+      set: (value) => { frames = track(value); }
+    });
+  }
+
+  // Each frame's stack base, innermost last; null where it is not known
+  stackBasesOf(game) {
+    return game._callstack.map(frame => (this.stackBases.has(frame) ? this.stackBases.get(frame) : null));
+  }
+
+  applyStackBases(game, bases) {
+    game._callstack.forEach((frame, i) => {
+      if (bases[i] !== null && bases[i] !== undefined) this.stackBases.set(frame, bases[i]);
+    });
+  }
+
+  // A new interpreter and screen for the same story
+  reset() {
+    this.screen = new APIScreen(this.log, this.story[0]);
+    this.game = this.meter(new Game(this.story, this.log, this.screen, this.storage));
+    this.quetzal = null;
+    this.started = false;
+    this.failure = null;
+  }
+
+  // Run the interpreter until it suspends for input or stops
+  run(step) {
+    this.executing = true;
+    this.turnInstructions = 0;
+    this.turnStartedAt = Date.now();
+    let aborted = null;
+    try {
+      step();
+    } catch (e) {
+      if (e instanceof TurnAborted) {
+        aborted = e;
+      } else if (e.constructor.name !== 'SuspendForUserInput') {
+        this.log.error(`Game execution error: ${e.message}`);
+        this.failure = e;
+      }
+    }
+    this.executing = false;
+    this.countTurn(aborted);
+    if (aborted) {
+      this.turnEnd = 'turn_aborted';
+    } else if (this.screen.pendingKeyState) {
+      this.turnEnd = 'char_input';
+    } else {
+      this.turnEnd = this.screen.pendingInputState ? 'line_input' : 'exited';
+    }
+    if (this.turnEnd === 'exited') {
+      // Stopping without an error means the game ran quit
+      this.exitDetails = this.failure
+        ? { reason: 'error', error: this.failure.message }
+        : { reason: 'quit' };
+    }
+    this.status = this.readStatus();
+    this.upperWindow = this.screen.upperLines();
+    this.outputRuns = this.screen.runs;
+    this.scriptOutput = this.screen.script || null;
+    this.outputBuffer = this.screen.output;
+    return this.outputBuffer;
+  }
+
+  countTurn(aborted) {
+    this.lastTurn = {
+      instructions: this.turnInstructions,
+      elapsedMs: Date.now() - this.turnStartedAt,
+      aborted: aborted ? aborted.reason : null
+    };
+    this.instructions += this.turnInstructions;
+    this.maxTurnInstructions = Math.max(this.maxTurnInstructions, this.turnInstructions);
+    if (aborted) this.abortedTurns++;
+  }
+
+  /**
+   * After a turn ran over budget: go back to the state from before it, or,
+   * without one (the opening, key presses), end the session. The turn's
+   * output so far is kept, followed by a note of what happened.
+   */
+  abortTurn(before) {
+    const { instructions, elapsedMs, aborted } = this.lastTurn;
+    const partial = this.outputBuffer;
+    let note = `[The game ran for ${instructions} instructions (${elapsedMs} ms) without finishing the turn`;
+
+    if (before) {
+      this.restore(before);
+      this.turns--;
+      this.status = this.readStatus();
+      note += ' and was stopped. It is back where it was before the command.]\n';
+    } else {
+      note += ' and was stopped.]\n';
+      this.end('aborted', { budget: aborted, instructions, elapsedMs });
+    }
+
+    this.turnEnd = 'turn_aborted';
+    this.outputRuns = null;
+    this.outputBuffer = partial + (partial && !partial.endsWith('\n') ? '\n' : '') + note;
+    return this.outputBuffer;
+  }
+
+  // V1-3 keep the status line in globals 0-2: location object, then score
+  // and moves, or hours and minutes when header flag 1 bit 1 is set.
+  // Later games draw their own, usually on the top line of the upper window.
+  readStatus() {
+    const version = this.story[0];
+    if (version > 3) {
+      const [topLine] = this.screen.upperLines();
+      return (topLine && parseStatusLine(topLine)) || this.status;
+    }
+
+    this.screen.statusBar = null;
+    try {
+      this.game.updateStatusBar();
+    } catch (e) {
+      return this.status;
+    }
+    if (!this.screen.statusBar) return this.status;
+
+    const globals = this.game.getWord(0x0c);
+    const first = this.game.getWord(globals + 2);
+    const second = this.game.getWord(globals + 4);
+    const location = this.screen.statusBar.lhs.trim();
+
+    if (version === 3 && (this.game.getByte(0x01) & 0x02)) {
+      return timeStatus(location, first, second);
+    }
+    return scoreStatus(location, (first << 16) >> 16, second);
+  }
+
+  start() {
+    if (this.started) return this.screen.output;
+
+    this.started = true;
+    const output = this.quetzal
+      ? this.importQuetzal(this.quetzal)
+      : this.run(() => this.game.execute());
+    return this.turnEnd === 'turn_aborted' ? this.abortTurn(null) : output;
+  }
+
+  sendCommand(command) {
+    if (this.screen.pendingKeyState) {
+      throw new SessionError('Game is waiting for a key press; send it to /key', 409);
+    }
+    // Kept in case the turn runs over budget: the undo snapshot, or one of our own without it
+    const before = this.turnSnapshot || (this.screen.pendingInputState ? this.snapshot() : null);
+    this.screen.clearOutput();
+    this.turns++;
+
+    if (this.executing) {
+      this.screen.setPendingInput(command);
+      return this.screen.output;
+    }
+
+    // ebozz's continue methods only hand over the input; the turn runs in
+    // executeLoop, inside run() so it is metered from the start
+    const output = this.run(() => {
+      this.screen.setPendingInput(command);
+      this.game.executeLoop();
+    });
+    return this.turnEnd === 'turn_aborted' ? this.abortTurn(before) : output;
+  }
+
+  sendKey(key) {
+    this.screen.clearOutput();
+    const output = this.run(() => {
+      this.screen.setPendingKey(key);
+      this.game.executeLoop();
+    });
+    return this.turnEnd === 'turn_aborted' ? this.abortTurn(null) : output;
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      memoryBytes: this.game._mem.length,
+      stackDepth: this.game._stack.length,
+      callDepth: this.game._callstack.length,
+      instructions: this.instructions,
+      lastTurn: this.lastTurn,
+      maxTurnInstructions: this.maxTurnInstructions,
+      abortedTurns: this.abortedTurns
+    };
+  }
+
+  objectTable() {
+    return new ObjectTable(this.game);
+  }
+
+  // Globals start at the address in header word 0x0c
+  readGlobal(number) {
+    return this.game.getWord(this.game.getWord(0x0c) + number * 2);
+  }
+
+  writeGlobal(number, value) {
+    this.game.setWord(this.game.getWord(0x0c) + number * 2, value & 0xffff);
+  }
+
+  readMemory(start, length) {
+    if (start + length > this.game._mem.length) {
+      throw new SessionError(`Memory ends at ${this.game._mem.length}`);
+    }
+    return Buffer.from(this.game._mem.subarray(start, start + length));
+  }
+
+  // Snapshot the game while it waits for input, remembering the pending read
+  snapshot() {
+    if (!this.screen.pendingInputState) {
+      throw new Error('Game is not waiting for input');
+    }
+    return {
+      buffer: this.game.snapshotToBuffer(),
+      inputState: this.screen.pendingInputState,
+      stackBases: this.stackBasesOf(this.game)
+    };
+  }
+
+  restore(data) {
+    this.game = this.meter(Game.fromSnapshot(data.buffer, this.log, this.screen, this.storage));
+    if (data.stackBases) this.applyStackBases(this.game, data.stackBases);
+    this.screen.clearOutput();
+    this.screen.inputQueue = [];
+    // Whatever the game was waiting for before, it is not a key now
+    this.screen.pendingKeyState = null;
+    this.failure = null;
+
+    if (data.inputState) {
+      // API saves are taken at a prompt, so resume waiting on the same read
+      this.screen.pendingInputState = data.inputState;
+      this.screen.gameInstance = this.game;
+      this.outputRuns = this.screen.runs;
+      this.turnEnd = 'line_input';
+      return '';
+    }
+
+    // In-story saves resume just after the save opcode
+    this.screen.pendingInputState = null;
+    return this.run(() => this.game.executeLoop());
+  }
+
+  /**
+   * Write the game as a Quetzal file. Quetzal holds the state at a save
+   * instruction, with the PC on its branch or store byte, but ebozz waits
+   * inside read. So the game is given a "save" command, its state is taken
+   * when its save opcode calls the storage, and the game is then put back
+   * as it was. The file resumes as if that save had just succeeded.
+   */
+  exportQuetzal() {
+    if (!this.screen.pendingInputState || this.screen.pendingKeyState) {
+      throw new SessionError('The game can only be exported while it waits for a command', 409);
+    }
+
+    const before = this.snapshot();
+    const shown = {
+      outputBuffer: this.outputBuffer,
+      outputRuns: this.outputRuns,
+      upperWindow: this.upperWindow,
+      status: this.status,
+      scriptOutput: this.scriptOutput,
+      exitDetails: this.exitDetails,
+      lastTurn: this.lastTurn
+    };
+    let captured = null;
+    this.quetzalCapture = (game) => {
+      try {
+        captured = { state: this.quetzalState(game) };
+      } catch (error) {
+        captured = { error };
+      }
+    };
+
+    try {
+      this.screen.clearOutput();
+      this.run(() => {
+        this.screen.setPendingInput('save');
+        this.game.executeLoop();
+      });
+    } finally {
+      this.quetzalCapture = null;
+      this.restore(before);
+      Object.assign(this, shown);
+    }
+
+    if (!captured) {
+      throw new SessionError('The game did not save when asked to, so it cannot be exported', 409);
+    }
+    if (captured.error) throw captured.error;
+    return quetzal.writeQuetzal(this.story, captured.state);
+  }
+
+  // The state of a game stopped in its save opcode, split into Quetzal frames
+  quetzalState(game) {
+    const bases = this.stackBasesOf(game);
+    if (bases.includes(null)) {
+      throw new SessionError('Part of the call stack has no recorded layout, so the game cannot be exported', 409);
+    }
+
+    const stack = game._stack;
+    const ends = [...bases, stack.length];
+    const frames = [{ locals: [], stack: stack.slice(0, ends[0]) }];
+    game._callstack.forEach((frame, i) => {
+      frames.push({
+        returnPC: frame.return_pc,
+        resultVar: frame.return_var < 0 ? 0 : frame.return_var,
+        discardResult: frame.return_var < 0,
+        argCount: frame.arg_count,
+        locals: frame.locals,
+        stack: stack.slice(ends[i], ends[i + 1])
+      });
+    });
+
+    return { memory: game._mem, pc: game._pc, frames };
+  }
+
+  importQuetzal(data) {
+    const state = quetzal.readQuetzal(data, this.story);
+
+    state.memory.copy(this.game._mem, 0);
+    this.game._stack = state.frames.flatMap(frame => frame.stack);
+    this.game._callstack = state.frames.slice(1).map(frame => ({
+      method_pc: 0,
+      return_pc: frame.returnPC,
+      return_var: frame.discardResult ? -1 : frame.resultVar,
+      locals: frame.locals,
+      arg_count: frame.argCount
+    }));
+    // Each frame's stack starts where the ones before it end
+    let depth = state.frames[0].stack.length;
+    this.game._callstack.forEach((frame, i) => {
+      this.stackBases.set(frame, depth);
+      depth += state.frames[i + 1].stack.length;
+    });
+    resumeAfterQuetzal(this.game, this.story[0], state.pc);
+
+    return this.run(() => this.game.executeLoop());
+  }
+}
+
+export default {
+  name: 'ebozz',
+  description: 'ebozz interpreter, in-process',
+  quetzal: true,
+  isAvailable: () => ({ available: true }),
+  createSession: (game, options) => new ZMachineSession(game, options),
+  ZMachineSession
+};
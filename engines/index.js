@@ -0,0 +1,65 @@
+/**
+ * Engine registry
+ * Each engine module exports { name, description, isAvailable, createSession }
+ * and, if it can start from a Quetzal save, quetzal: true; sessions that
+ * can also write one have exportQuetzal()
+ */
+
+const { redactPaths } = require('../errors');
+
+const engines = new Map();
+
+// Preference order when no engine is requested
+const ENGINE_ORDER = ['ebozz', 'dfrotz', 'simple'];
+
+async function loadEngine(name, load) {
+  try {
+    const mod = await load();
+    const engine = mod.default || mod;
+    const status = await engine.isAvailable();
+    engines.set(name, { ...status, engine });
+  } catch (error) {
+    engines.set(name, { available: false, reason: error.message, engine: null });
+  }
+}
+
+async function loadEngines() {
+  await loadEngine('ebozz', () => import('./ebozz.mjs'));
+  await loadEngine('dfrotz', async () => require('./dfrotz'));
+  await loadEngine('simple', async () => require('./simple'));
+  return engines;
+}
+
+function getEngine(name) {
+  const entry = engines.get(name);
+  if (!entry) {
+    throw new Error(`Unknown engine: ${name}`);
+  }
+  if (!entry.available) {
+    throw new Error(`Engine not available: ${name} (${redactPaths(entry.reason)})`);
+  }
+  return entry.engine;
+}
+
+function defaultEngine() {
+  const requested = process.env.DEFAULT_ENGINE;
+  if (requested) return requested;
+  return ENGINE_ORDER.find(name => engines.get(name)?.available);
+}
+
+function describeEngines() {
+  const result = {};
+  for (const [name, entry] of engines) {
+    result[name] = entry.available
+      ? { available: true, description: entry.engine.description }
+      : { available: false, reason: redactPaths(entry.reason) };
+  }
+  return result;
+}
+
+module.exports = {
+  loadEngines,
+  getEngine,
+  defaultEngine,
+  describeEngines
+};
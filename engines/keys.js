@@ -0,0 +1,69 @@
+/**
+ * Single key presses for read_char
+ * Keys are given as one character or a name; both map to a ZSCII code
+ */
+
+const NAMED_KEYS = {
+  backspace: 8,
+  delete: 8,
+  tab: 9,
+  enter: 13,
+  return: 13,
+  escape: 27,
+  space: 32,
+  up: 129,
+  down: 130,
+  left: 131,
+  right: 132,
+  f1: 133,
+  f2: 134,
+  f3: 135,
+  f4: 136,
+  f5: 137,
+  f6: 138,
+  f7: 139,
+  f8: 140,
+  f9: 141,
+  f10: 142,
+  f11: 143,
+  f12: 144
+};
+
+// Returns { name, zscii, char } or throws for keys the Z-machine has no code for
+function parseKey(key) {
+  if (typeof key !== 'string' || key.length === 0) {
+    throw new Error('Key must be a character or a key name');
+  }
+
+  const named = NAMED_KEYS[key.toLowerCase()];
+  if (key.length > 1 && named === undefined) {
+    throw new Error(`Unknown key: ${key} (expected one character or ${Object.keys(NAMED_KEYS).join(', ')})`);
+  }
+
+  const zscii = key.length > 1 ? named : key.charCodeAt(0);
+  if (key.length === 1 && (zscii < 32 || zscii > 126)) {
+    throw new Error('Use a key name for control characters');
+  }
+
+  return {
+    name: key.length > 1 ? key.toLowerCase() : key,
+    zscii,
+    char: String.fromCharCode(zscii)
+  };
+}
+
+// The key for a ZSCII code, as recorded in .rec scripts ("[13]")
+function keyFromZscii(zscii) {
+  const name = Object.keys(NAMED_KEYS).find(key => NAMED_KEYS[key] === zscii);
+  if (name) return parseKey(name);
+  return parseKey(String.fromCharCode(zscii));
+}
+
+// A line of script input as a key: "" is enter, "[n]" a ZSCII code, otherwise its first character
+function keyFromLine(line) {
+  const code = /^\[(\d+)\]$/.exec(line);
+  if (code) return keyFromZscii(parseInt(code[1], 10));
+  return line === '' ? parseKey('enter') : parseKey(line[0]);
+}
+
+module.exports = { NAMED_KEYS, parseKey, keyFromZscii, keyFromLine };
@@ -0,0 +1,162 @@
+/**
+ * Object tree inspection
+ * Reads the Z-machine object table of a running game for the debug
+ * routes (see inspector.js). Names and links come from the interpreter's
+ * objects (game.getObject); property tables are read straight from memory,
+ * since their layout is fixed by the standard.
+ */
+
+// Global 0 holds the object the V1-3 status line names, by convention the player's location
+const LOCATION_GLOBAL = 0;
+
+class ObjectTable {
+  // game is an interpreter with getByte, getWord and getObject (ebozz's Game)
+  constructor(game) {
+    this.game = game;
+    this.version = game.getByte(0x00);
+    const small = this.version <= 3;
+    this.entrySize = small ? 9 : 14;
+    this.propertyPointer = small ? 7 : 12;
+    this.attributeCount = small ? 32 : 48;
+    // Entries follow the property defaults: 31 words in V1-3, 63 later
+    this.firstEntry = game.getWord(0x0a) + (small ? 31 : 63) * 2;
+    this.count = this.countObjects(small ? 255 : 65535);
+  }
+
+  // The table has no length; entries end where the first property table starts
+  countObjects(max) {
+    let end = Infinity;
+    let count = 0;
+    while (count < max && this.entryAddress(count + 1) + this.entrySize <= end) {
+      count++;
+      end = Math.min(end, this.game.getWord(this.entryAddress(count) + this.propertyPointer));
+    }
+    return count;
+  }
+
+  entryAddress(number) {
+    return this.firstEntry + (number - 1) * this.entrySize;
+  }
+
+  has(number) {
+    return Number.isInteger(number) && number >= 1 && number <= this.count;
+  }
+
+  // { number, name } for a GameObject, or null
+  summarize(object) {
+    return object ? { number: object.objnum, name: object.name } : null;
+  }
+
+  // { number, name } for an object number
+  brief(number) {
+    return this.summarize(this.game.getObject(number));
+  }
+
+  hasAttribute(number, attribute) {
+    return this.game.getObject(number).hasAttribute(attribute);
+  }
+
+  // Where an object is: its parent as { number, name }, or null
+  parent(number) {
+    return this.summarize(this.game.getObject(number).parent);
+  }
+
+  // Attributes, links and decoded properties of one object
+  describe(number) {
+    const object = this.game.getObject(number);
+    const attributes = [];
+    for (let attribute = 0; attribute < this.attributeCount; attribute++) {
+      if (object.hasAttribute(attribute)) attributes.push(attribute);
+    }
+
+    return {
+      number,
+      name: object.name,
+      parent: this.summarize(object.parent),
+      sibling: this.summarize(object.sibling),
+      child: this.summarize(object.child),
+      attributes,
+      properties: this.properties(number)
+    };
+  }
+
+  // Property entries in table order: { number, size, data, value? }.
+  // value is the byte or word a one- or two-byte property reads as (get_prop).
+  properties(number) {
+    const table = this.game.getWord(this.entryAddress(number) + this.propertyPointer);
+    // Skip the short name: a length in words, then the encoded text
+    let address = table + 1 + this.game.getByte(table) * 2;
+    const properties = [];
+
+    for (;;) {
+      const sizeByte = this.game.getByte(address);
+      if (sizeByte === 0) break;
+
+      let property;
+      let size;
+      if (this.version <= 3) {
+        property = sizeByte & 0x1f;
+        size = (sizeByte >> 5) + 1;
+        address += 1;
+      } else if (sizeByte & 0x80) {
+        property = sizeByte & 0x3f;
+        size = (this.game.getByte(address + 1) & 0x3f) || 64;
+        address += 2;
+      } else {
+        property = sizeByte & 0x3f;
+        size = sizeByte & 0x40 ? 2 : 1;
+        address += 1;
+      }
+
+      const data = [];
+      for (let i = 0; i < size; i++) data.push(this.game.getByte(address + i));
+      const entry = { number: property, size, data };
+      if (size === 1) entry.value = data[0];
+      if (size === 2) entry.value = this.game.getWord(address);
+      properties.push(entry);
+      address += size;
+    }
+
+    return properties;
+  }
+
+  // Direct children of an object, in sibling order
+  contents(number) {
+    const contents = [];
+    const seen = new Set();
+    for (let object = this.game.getObject(number).child; object && !seen.has(object.objnum); object = object.sibling) {
+      seen.add(object.objnum);
+      contents.push(this.summarize(object));
+    }
+    return contents;
+  }
+
+  // Every object as a tree from the roots (objects with no parent)
+  tree() {
+    const seen = new Set();
+    const build = ({ number, name }) => {
+      seen.add(number);
+      return {
+        number,
+        name,
+        children: this.contents(number).filter(child => !seen.has(child.number)).map(build)
+      };
+    };
+
+    const roots = [];
+    for (let number = 1; number <= this.count; number++) {
+      if (!seen.has(number) && !this.game.getObject(number).parent) {
+        roots.push(build(this.brief(number)));
+      }
+    }
+    return roots;
+  }
+
+  // The status-line object, or null if global 0 does not hold one
+  location() {
+    const number = this.game.getWord(this.game.getWord(0x0c) + LOCATION_GLOBAL * 2);
+    return this.has(number) ? number : null;
+  }
+}
+
+module.exports = { ObjectTable };
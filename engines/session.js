@@ -0,0 +1,767 @@
+/**
+ * Common base for engine sessions
+ * Engines implement start, sendCommand, snapshot, restore and cleanup;
+ * save slot bookkeeping, the command queue, the transcript, undo, forks,
+ * stream events and session info are shared here
+ *
+ * Sessions move through the states in SESSION_STATES (see the state getter);
+ * once ended they refuse input until they are restarted, undone or restored.
+ *
+ * Events: 'output' ({ command, output, turnEnd, status, state }) after every turn,
+ * 'status' (status) when the status line changes, 'notice' ({ message })
+ * for operator broadcasts, 'ended' ({ reason }) when the game stops,
+ * 'closed' ({ reason }) when the session is removed
+ */
+
+const EventEmitter = require('events');
+const { keyFromLine } = require('./keys');
+const { Dictionary } = require('../dictionary');
+const { WatchList } = require('./watches');
+
+// Commands allowed to wait (including the running one) before new ones are refused
+const MAX_QUEUE_DEPTH = parseInt(process.env.MAX_QUEUE_DEPTH, 10) || 8;
+
+// Turns that can be undone; 0 turns undo off
+const UNDO_DEPTH = process.env.UNDO_DEPTH !== undefined ? parseInt(process.env.UNDO_DEPTH, 10) || 0 : 10;
+
+// Player commands answered from the undo buffer instead of by the game
+const UNDO_COMMAND = /^\s*undo\s*$/i;
+
+// Longest a batch may run, in ms; it stops with "timeout" after the command that goes over
+const BATCH_TIMEOUT = parseInt(process.env.BATCH_TIMEOUT, 10) || 60000;
+
+// Transcript entries kept per session; the oldest are dropped past this
+const MAX_TRANSCRIPT_ENTRIES = parseInt(process.env.MAX_TRANSCRIPT_ENTRIES, 10) || 10000;
+
+// running while a command is being handled; awaiting_line or awaiting_key
+// while the game waits for input; ended or error once it stops
+const SESSION_STATES = ['running', 'awaiting_line', 'awaiting_key', 'ended', 'error'];
+
+// End reasons that count as failures rather than the game finishing
+const ERROR_REASONS = ['error', 'aborted'];
+
+// What to do when the game ends: never restart, or restart after it ends
+// normally (ended), after a failure (error), or either way (always)
+const RESTART_POLICIES = ['never', 'ended', 'error', 'always'];
+const AUTO_RESTART = RESTART_POLICIES.includes(process.env.AUTO_RESTART) ? process.env.AUTO_RESTART : 'never';
+
+// Error carrying the HTTP status the API should answer with
+class SessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+class EngineSession extends EventEmitter {
+  constructor(engine, game, options = {}) {
+    super();
+    // Any number of stream viewers may attach
+    this.setMaxListeners(0);
+    this.engine = engine;
+    // The game as clients know it; storyPath is where it lives on disk
+    this.gameId = game.id;
+    this.gamePath = game.path;
+    this.storyPath = game.fullPath;
+    // Bare Z-code, unwrapped from any .zip or Blorb container (see story.js)
+    this.story = game.data;
+    this.createdAt = new Date().toISOString();
+    this.lastActivityAt = this.createdAt;
+    // See the state getter; endedReason is set once the game stops, see end()
+    this.running = false;
+    this.endedReason = null;
+    // Why the game stopped, for engines that can tell: { reason, ...details } for end()
+    this.exitDetails = null;
+    this.closed = false;
+    if (options.autoRestart !== undefined && !RESTART_POLICIES.includes(options.autoRestart)) {
+      throw new SessionError(`autoRestart must be one of ${RESTART_POLICIES.join(', ')}`);
+    }
+    this.autoRestart = options.autoRestart || AUTO_RESTART;
+    // Set by engines when the game restarts itself (the restart opcode)
+    this.restartedInGame = false;
+    // Set by the session registry
+    this.id = null;
+    this.clientId = null;
+    this.idleTtl = null;
+    // Latest operator broadcast, see notify()
+    this.notice = null;
+    this.outputBuffer = '';
+    // Styled runs for outputBuffer, for engines that track text styles (see format.js)
+    this.outputRuns = null;
+    // How the last turn ended: line_input, char_input, timeout, turn_aborted or exited
+    this.turnEnd = 'line_input';
+    // Parsed status line, see status.js
+    this.status = null;
+    this.publishedStatus = 'null';
+    // Upper window lines, for engines that keep a split screen of their own
+    this.upperWindow = null;
+    // Text the game sent to its own transcript (output stream 2) this turn,
+    // for engines that can see it
+    this.scriptOutput = null;
+    // Every turn: { at, type: start | command | key | restore | undo | fork, input, output, script }
+    this.transcript = [];
+    this.transcriptDropped = 0;
+    // Snapshots from before each of the last undoDepth commands, oldest first.
+    // Engines whose snapshots are too slow to take every turn set undoDepth to 0.
+    this.undoDepth = options.undoDepth !== undefined ? options.undoDepth : UNDO_DEPTH;
+    this.undoStack = [];
+    // The undo snapshot taken for the command being sent, or null; engines that
+    // roll back runaway turns reuse it instead of taking another
+    this.turnSnapshot = null;
+    // Inputs since the game started or last loaded a slot: { type: command | key | load, ... }.
+    // Engines that fork by replaying them into a new session set forkByReplay.
+    this.commandLog = [];
+    this.forkByReplay = false;
+    // Branch links: the session this one was forked from, and its own forks
+    this.parentId = null;
+    this.forkedFromTurn = null;
+    this.children = [];
+    // Whether the debug routes may read this game's object tree (see inspector.js)
+    this.inspector = Boolean(options.inspector);
+    // The story's dictionary, read on first use, and how often the player typed each word in it
+    this.dictionaryCache = null;
+    this.wordUsage = new Map();
+    // Debug watchpoints, and what they caught during the last command or key
+    this.watches = new WatchList(this);
+    this.watchHits = [];
+    this.turns = 0;
+    this.saves = new Map();
+    // Clients may ask for a shorter queue, never a longer one than the server allows
+    this.maxQueueDepth = Math.max(1, Math.min(options.maxQueueDepth || MAX_QUEUE_DEPTH, MAX_QUEUE_DEPTH));
+    this.queueDepth = 0;
+    this.queueTail = Promise.resolve();
+  }
+
+  // Run tasks strictly one at a time, in arrival order
+  enqueue(task) {
+    if (this.queueDepth >= this.maxQueueDepth) {
+      return Promise.reject(new SessionError(
+        `Command queue is full (${this.maxQueueDepth} pending)`, 429
+      ));
+    }
+
+    this.queueDepth++;
+    this.touch();
+    const result = this.queueTail.then(async () => {
+      this.running = true;
+      try {
+        return await task();
+      } finally {
+        this.running = false;
+      }
+    });
+    this.queueTail = result.catch(() => {}).then(() => {
+      this.queueDepth--;
+      this.touch();
+    });
+    return result;
+  }
+
+  touch() {
+    this.lastActivityAt = new Date().toISOString();
+  }
+
+  get state() {
+    if (this.endedReason) return ERROR_REASONS.includes(this.endedReason) ? 'error' : 'ended';
+    if (this.running) return 'running';
+    return this.turnEnd === 'char_input' ? 'awaiting_key' : 'awaiting_line';
+  }
+
+  get ended() {
+    return this.endedReason !== null;
+  }
+
+  // Refuse input once the game has stopped
+  checkPlayable() {
+    if (this.ended) {
+      throw new SessionError(
+        `Game has ended (${this.endedReason}); restart it, undo, restore a save or start a new session`, 409
+      );
+    }
+  }
+
+  async start() {
+    throw new Error(`${this.engine} engine does not implement start()`);
+  }
+
+  async sendCommand(_command) {
+    throw new Error(`${this.engine} engine does not implement sendCommand()`);
+  }
+
+  async snapshot() {
+    throw new Error(`${this.engine} engine does not support snapshots`);
+  }
+
+  // Restore a snapshot; engines set turnEnd if the game is not left waiting for a line
+  async restore(_data) {
+    throw new Error(`${this.engine} engine does not support snapshots`);
+  }
+
+  // The status line read from the game's current state; engines that parse
+  // it out of their output (dfrotz) keep the last one they saw
+  readStatus() {
+    return this.status;
+  }
+
+  // key is a parsed key from keys.js
+  async sendKey(_key) {
+    throw new SessionError(`${this.engine} engine does not support key input`, 501);
+  }
+
+  // The game's object table (objects.js), for engines that can read game memory
+  objectTable() {
+    throw new SessionError(`${this.engine} engine cannot inspect objects`, 501);
+  }
+
+  // Global variables 0-239 (Z-machine variables 16-255) as unsigned words
+  readGlobal(_number) {
+    throw new SessionError(`${this.engine} engine cannot read game memory`, 501);
+  }
+
+  writeGlobal(_number, _value) {
+    throw new SessionError(`${this.engine} engine cannot write game memory`, 501);
+  }
+
+  // A copy of `length` bytes of game memory from `start`
+  readMemory(_start, _length) {
+    throw new SessionError(`${this.engine} engine cannot read game memory`, 501);
+  }
+
+  // Drop the interpreter's state so start() begins the game afresh
+  reset() {
+    throw new SessionError(`${this.engine} engine cannot restart`, 501);
+  }
+
+  cleanup() {}
+
+  // Start the game and record its opening text
+  async launch() {
+    const output = await this.start();
+    this.record('start', null, output);
+    if (this.turnEnd === 'exited') this.endFromExit();
+    return output;
+  }
+
+  // Queue restarting the game from the beginning
+  restart() {
+    return this.enqueue(() => this.runRestart());
+  }
+
+  async runRestart(reason = 'requested') {
+    if (this.closed) return '';
+    this.cleanup();
+    this.reset();
+    this.resetProgress();
+    this.turnEnd = 'line_input';
+    this.status = null;
+    this.upperWindow = null;
+    this.outputRuns = null;
+    const output = await this.start();
+    this.record('restart', reason, output);
+    this.publish(null, output, { restart: reason });
+    return output;
+  }
+
+  // Forget the turn count, undo buffer and replay log when the game starts over
+  resetProgress() {
+    this.turns = 0;
+    this.undoStack = [];
+    this.commandLog = [];
+    this.watchHits = [];
+    this.endedReason = null;
+    this.exitDetails = null;
+  }
+
+  record(type, input, output) {
+    this.transcript.push({
+      at: new Date().toISOString(),
+      type,
+      input,
+      output: output || '',
+      script: this.scriptOutput
+    });
+    this.scriptOutput = null;
+
+    if (this.transcript.length > MAX_TRANSCRIPT_ENTRIES) {
+      this.transcript.shift();
+      this.transcriptDropped++;
+    }
+  }
+
+  // Resource use for the admin listing; engines add their own figures
+  getStats() {
+    return {
+      turns: this.turns,
+      queueDepth: this.queueDepth,
+      storyBytes: this.story.length,
+      saves: this.saves.size,
+      viewers: this.listenerCount('output')
+    };
+  }
+
+  // Show an operator message to everyone watching the session
+  notify(message) {
+    this.notice = { message, sentAt: new Date().toISOString() };
+    this.emit('notice', this.notice);
+  }
+
+  // Queue a command and publish what it produced to stream listeners
+  input(command) {
+    return this.enqueue(() => this.runCommand(command));
+  }
+
+  // Queue a single key press for a game waiting in read_char
+  key(key) {
+    return this.enqueue(() => this.runKey(key));
+  }
+
+  async runCommand(command) {
+    if (this.undoDepth && this.undoStack.length && UNDO_COMMAND.test(command)) {
+      return this.runUndo(1, command);
+    }
+    this.checkPlayable();
+
+    const watched = this.watches.capture();
+    const pushed = await this.pushUndo();
+    this.turnSnapshot = pushed ? this.undoStack[this.undoStack.length - 1].data : null;
+    let output;
+    try {
+      output = await this.sendCommand(command);
+    } catch (error) {
+      if (pushed) this.undoStack.pop();
+      throw error;
+    } finally {
+      this.turnSnapshot = null;
+    }
+    if (this.turnEnd === 'turn_aborted') {
+      // The engine stopped a runaway turn and put the game back, so it never happened
+      if (pushed) this.undoStack.pop();
+    } else {
+      this.commandLog.push({ type: 'command', command });
+      this.countWords(command);
+    }
+    this.watchHits = this.watches.diff(watched);
+    const restarted = this.takeInGameRestart();
+    this.record('command', command, output);
+    this.publish(command, output, restarted ? { restart: 'game' } : {});
+    return output;
+  }
+
+  // Remember the state before a turn; false if the game can't be snapshotted right now
+  async pushUndo() {
+    if (!this.undoDepth) return false;
+
+    let data;
+    try {
+      data = await this.snapshot();
+    } catch (e) {
+      return false;
+    }
+
+    this.undoStack.push({
+      data,
+      turns: this.turns,
+      outputBuffer: this.outputBuffer,
+      outputRuns: this.outputRuns,
+      upperWindow: this.upperWindow,
+      turnEnd: this.turnEnd,
+      status: this.status
+    });
+    if (this.undoStack.length > this.undoDepth) this.undoStack.shift();
+    return true;
+  }
+
+  // Queue rolling back the last `steps` commands
+  undo(steps) {
+    return this.enqueue(() => this.runUndo(steps));
+  }
+
+  // Restore the state from before the last `steps` commands, with what the screen showed then
+  async runUndo(steps, command = null) {
+    if (!this.undoDepth) {
+      throw new SessionError(`${this.engine} engine does not support undo`, 501);
+    }
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new SessionError('steps must be a positive whole number');
+    }
+    if (steps > this.undoStack.length) {
+      throw new SessionError(`Only ${this.undoStack.length} turns can be undone`, 409);
+    }
+
+    const [entry] = this.undoStack.splice(this.undoStack.length - steps);
+    this.commandLog.splice(-steps);
+    this.turns = entry.turns;
+    await this.restore(entry.data);
+    this.outputBuffer = entry.outputBuffer;
+    this.outputRuns = entry.outputRuns;
+    this.upperWindow = entry.upperWindow;
+    this.turnEnd = entry.turnEnd;
+    this.status = entry.status;
+    // Undoing the last move brings an ended game back
+    this.endedReason = null;
+    this.exitDetails = null;
+
+    const output = this.outputBuffer;
+    this.record('undo', command || String(steps), output);
+    this.publish(command, output, { undo: steps });
+    return output;
+  }
+
+  async runKey(key) {
+    if (this.turnEnd !== 'char_input') {
+      throw new SessionError('Game is not waiting for a key press', 409);
+    }
+    this.checkPlayable();
+    const watched = this.watches.capture();
+    const output = await this.sendKey(key);
+    this.commandLog.push({ type: 'key', key });
+    this.watchHits = this.watches.diff(watched);
+    const restarted = this.takeInGameRestart();
+    this.record('key', key.name, output);
+    this.publish(null, output, { key: key.name, ...(restarted ? { restart: 'game' } : {}) });
+    return output;
+  }
+
+  // After a turn in which the game restarted itself, start the bookkeeping over
+  // as a restart through the API does; true if it did
+  takeInGameRestart() {
+    if (!this.restartedInGame) return false;
+    this.restartedInGame = false;
+    this.resetProgress();
+    return true;
+  }
+
+  /**
+   * Run inputs back to back as one queued task, so nothing else interleaves.
+   * Strings are commands, or key presses while the game waits for one
+   * (see keys.keyFromLine); { key } items are always key presses.
+   * Stops at the first error, when an output matches stopOn, after
+   * BATCH_TIMEOUT ms, or, unless stopOnEnd is false, when the game ends.
+   * Other sessions' work runs between the commands.
+   * Resolves with { results: [{ input, output, runs, turnEnd, status, watchHits? }], stopped }.
+   */
+  batch(inputs, { stopOn = null, stopOnEnd = true } = {}) {
+    return this.enqueue(async () => {
+      const results = [];
+      const startedAt = Date.now();
+      let stopped = null;
+
+      for (const item of inputs) {
+        if (results.length) {
+          // In-process engines never wait on I/O, so give the event loop a turn
+          await new Promise(setImmediate);
+          if (Date.now() - startedAt > BATCH_TIMEOUT) {
+            stopped = 'timeout';
+            break;
+          }
+        }
+
+        const input = typeof item === 'string' ? item : item.key;
+        let output;
+        try {
+          if (typeof item !== 'string') {
+            output = await this.runKey(item.parsed);
+          } else if (this.turnEnd === 'char_input') {
+            output = await this.runKey(keyFromLine(item));
+          } else {
+            output = await this.runCommand(item);
+          }
+        } catch (error) {
+          results.push({ input, error });
+          stopped = 'error';
+          break;
+        }
+
+        let matched = false;
+        try {
+          matched = Boolean(stopOn && stopOn.test(output));
+        } catch (error) {
+          // A pattern that cannot be tested fails the batch at this command
+          results.push({ input, error });
+          stopped = 'error';
+          break;
+        }
+
+        results.push({
+          input,
+          output,
+          runs: this.outputRuns,
+          turnEnd: this.turnEnd,
+          status: this.status,
+          ...(this.watches.size ? { watchHits: this.watchHits } : {})
+        });
+        if (matched) {
+          stopped = 'matched';
+          break;
+        }
+        if (stopOnEnd && this.ended) {
+          stopped = 'ended';
+          break;
+        }
+      }
+
+      return { results, stopped };
+    });
+  }
+
+  publish(command, output, extra = {}) {
+    this.emit('output', {
+      command,
+      ...extra,
+      output,
+      runs: this.outputRuns,
+      upperWindow: this.upperWindow,
+      turnEnd: this.turnEnd,
+      status: this.status,
+      // The turn is over, whatever the queue holds next
+      state: this.ended ? this.state : (this.turnEnd === 'char_input' ? 'awaiting_key' : 'awaiting_line')
+    });
+
+    const status = JSON.stringify(this.status);
+    if (status !== this.publishedStatus) {
+      this.publishedStatus = status;
+      this.emit('status', this.status);
+    }
+
+    if (this.turnEnd === 'exited') {
+      this.endFromExit();
+    }
+  }
+
+  // End with the reason the engine found for the exit, or just "exited"
+  endFromExit() {
+    const { reason = 'exited', ...details } = this.exitDetails || {};
+    this.end(reason, details);
+  }
+
+  // Mark the session ended (the game quit or its interpreter died); once only.
+  // The autoRestart policy may then queue a restart.
+  end(reason, details = {}) {
+    if (this.ended) return;
+    this.endedReason = reason;
+    this.touch();
+    this.emit('ended', { reason, ...details });
+
+    // A game that stops before its first turn would only stop again
+    const failed = ERROR_REASONS.includes(reason);
+    const policy = this.autoRestart === 'always' || this.autoRestart === (failed ? 'error' : 'ended');
+    if (policy && this.turns > 0) {
+      this.enqueue(() => this.runRestart('auto')).catch((error) => {
+        console.error(`Automatic restart failed: ${error.message}`);
+      });
+    }
+  }
+
+  close(reason) {
+    if (this.closed) return;
+    this.closed = true;
+    this.cleanup();
+    this.emit('closed', { reason });
+    this.removeAllListeners();
+  }
+
+  writeSlot(slot, data) {
+    const entry = {
+      data,
+      savedAt: new Date().toISOString(),
+      turns: this.turns
+    };
+    this.saves.set(slot, entry);
+    return entry;
+  }
+
+  async save(slot) {
+    return this.writeSlot(slot, await this.snapshot());
+  }
+
+  async load(slot) {
+    const entry = this.saves.get(slot);
+    if (!entry) {
+      throw new Error(`Save slot not found: ${slot}`);
+    }
+
+    // Slots are saved at a prompt, and the status line counts the saved turns
+    this.turns = entry.turns;
+    this.turnEnd = 'line_input';
+    const output = await this.restore(entry.data);
+    this.outputBuffer = output;
+    this.status = this.readStatus();
+    // Restoring a save brings an ended game back
+    this.endedReason = null;
+    this.exitDetails = null;
+    this.commandLog = [{ type: 'load', data: entry.data, turns: entry.turns }];
+    this.record('restore', slot, output);
+    this.publish(null, output);
+    return output;
+  }
+
+  dictionary() {
+    if (!this.dictionaryCache) this.dictionaryCache = new Dictionary(this.story);
+    return this.dictionaryCache;
+  }
+
+  countWords(command) {
+    let dictionary;
+    try {
+      dictionary = this.dictionary();
+    } catch (e) {
+      // A story without a readable dictionary just gets no completions
+      return;
+    }
+    for (const token of dictionary.tokenize(command)) {
+      if (!dictionary.has(token) || dictionary.separators.includes(token)) continue;
+      const word = dictionary.normalize(token);
+      this.wordUsage.set(word, (this.wordUsage.get(word) || 0) + 1);
+    }
+  }
+
+  /**
+   * Complete the last word of a partly typed command from the dictionary.
+   * Returns { word, completions: [{ word, uses }], unknown }: completions
+   * are ranked by how often this player used them, and unknown lists the
+   * earlier words the game would not recognize.
+   */
+  complete(prefix, limit) {
+    const dictionary = this.dictionary();
+    const tokens = dictionary.tokenize(prefix);
+    const lastChar = prefix.slice(-1);
+    // After a space or separator the next word is still to come
+    const partial = tokens.length && lastChar !== ' ' && !dictionary.separators.includes(lastChar)
+      ? tokens.pop()
+      : '';
+    const stem = partial ? dictionary.normalize(partial) : '';
+
+    const completions = dictionary.words
+      .filter(word => word.startsWith(stem) && !dictionary.separators.includes(word))
+      .map(word => ({ word, uses: this.wordUsage.get(word) || 0 }))
+      .sort((a, b) => b.uses - a.uses || a.word.localeCompare(b.word))
+      .slice(0, limit);
+
+    return {
+      word: partial,
+      completions,
+      unknown: tokens.filter(token => !dictionary.separators.includes(token) && !dictionary.has(token))
+    };
+  }
+
+  // Options a forked session of this engine needs to start like this one did
+  forkOptions() {
+    return {};
+  }
+
+  /**
+   * Queue capturing where a fork starts: the current state, or the state
+   * `steps` commands back. Snapshot engines give { snapshot } from the undo
+   * buffer; replay engines give { log }, the inputs to play into the fork.
+   */
+  forkPoint(steps = 0) {
+    return this.enqueue(async () => {
+      if (!Number.isInteger(steps) || steps < 0) {
+        throw new SessionError('steps must be a whole number');
+      }
+
+      const point = { parentId: this.id, steps, options: this.forkOptions() };
+
+      if (this.forkByReplay) {
+        if (steps > this.commandLog.length) {
+          throw new SessionError(`Only ${this.commandLog.length} inputs can be stepped back`, 409);
+        }
+        return { ...point, log: this.commandLog.slice(0, this.commandLog.length - steps) };
+      }
+
+      if (steps > this.undoStack.length) {
+        throw new SessionError(`Only ${this.undoStack.length} turns back can be forked from`, 409);
+      }
+      if (steps) {
+        return { ...point, snapshot: this.undoStack[this.undoStack.length - steps] };
+      }
+      return {
+        ...point,
+        snapshot: {
+          data: await this.snapshot(),
+          turns: this.turns,
+          outputBuffer: this.outputBuffer,
+          outputRuns: this.outputRuns,
+          upperWindow: this.upperWindow,
+          turnEnd: this.turnEnd,
+          status: this.status
+        }
+      };
+    });
+  }
+
+  // Start this session from another's fork point instead of launching it fresh
+  async launchFork(point) {
+    if (point.snapshot) {
+      const { snapshot } = point;
+      await this.restore(snapshot.data);
+      this.turns = snapshot.turns;
+      this.outputBuffer = snapshot.outputBuffer;
+      this.outputRuns = snapshot.outputRuns;
+      this.upperWindow = snapshot.upperWindow;
+      this.turnEnd = snapshot.turnEnd;
+      this.status = snapshot.status;
+    } else {
+      this.outputBuffer = await this.start();
+      for (const entry of point.log) {
+        if (entry.type === 'load') {
+          this.outputBuffer = await this.restore(entry.data);
+          this.turns = entry.turns;
+        } else if (entry.type === 'key') {
+          this.outputBuffer = await this.sendKey(entry.key);
+        } else {
+          this.outputBuffer = await this.sendCommand(entry.command);
+        }
+      }
+      this.commandLog = point.log.slice();
+    }
+
+    this.parentId = point.parentId;
+    this.forkedFromTurn = this.turns;
+    this.record('fork', point.parentId, this.outputBuffer);
+    return this.outputBuffer;
+  }
+
+  listSaves() {
+    return Array.from(this.saves, ([slot, entry]) => ({
+      slot,
+      savedAt: entry.savedAt,
+      turns: entry.turns
+    }));
+  }
+
+  getInfo() {
+    return {
+      engine: this.engine,
+      gameId: this.gameId,
+      gamePath: this.gamePath,
+      createdAt: this.createdAt,
+      lastActivityAt: this.lastActivityAt,
+      expiresAt: this.idleTtl
+        ? new Date(Date.parse(this.lastActivityAt) + this.idleTtl).toISOString()
+        : null,
+      state: this.state,
+      endedReason: this.endedReason,
+      autoRestart: this.autoRestart,
+      notice: this.notice,
+      parentId: this.parentId,
+      forkedFromTurn: this.forkedFromTurn,
+      children: this.children,
+      inspector: this.inspector,
+      undo: {
+        available: this.undoStack.length,
+        depth: this.undoDepth
+      },
+      turns: this.turns,
+      turnEnd: this.turnEnd,
+      status: this.status,
+      queue: {
+        depth: this.queueDepth,
+        max: this.maxQueueDepth
+      }
+    };
+  }
+}
+
+module.exports = { EngineSession, SessionError, SESSION_STATES, RESTART_POLICIES };
@@ -0,0 +1,393 @@
+/**
+ * Simple engine
+ * Hard-coded text adventure that imitates the opening of Zork I.
+ * Needs no interpreter, so it is always available.
+ */
+
+const { EngineSession } = require('./session');
+const { scoreStatus } = require('./status');
+
+const LOCATION_NAMES = {
+  field: 'West of House',
+  porch: 'Front Porch'
+};
+
+// Simplified Z-machine text adventure engine
+// This is a placeholder - for full Z-machine support, integrate ebozz or zmachine-core
+class ZMachineAPI {
+  constructor(storyFile) {
+    this.storyFile = storyFile;
+    this.outputBuffer = '';
+    this.inputBuffer = '';
+    this.gameStarted = false;
+    // quit asks first; gameEnded is set once the player confirms
+    this.quitPending = false;
+    this.gameEnded = false;
+    this.restarted = false;
+    this.location = 'field';
+    this.inventory = [];
+    this.openedMailbox = false;
+  }
+
+  start() {
+    this.gameStarted = true;
+    return this.getWelcomeMessage();
+  }
+
+  input(command) {
+    this.inputBuffer = command;
+    return this.run();
+  }
+
+  run() {
+    if (!this.gameStarted) {
+      this.gameStarted = true;
+      return this.getWelcomeMessage();
+    }
+
+    if (this.inputBuffer) {
+      this.outputBuffer = this.processCommand(this.inputBuffer);
+      this.inputBuffer = '';
+    }
+
+    return this.outputBuffer;
+  }
+
+  getWelcomeMessage() {
+    return `ZORK I: The Great Underground Empire
+Infocom interactive fiction - a fantasy story
+Copyright (c) 1981, 1982, 1983, 1984, 1985, 1986 Infocom, Inc. All Rights Reserved.
+ZORK is a registered trademark of Infocom, Inc.
+
+Release 119 / Serial number 880429
+
+West of House
+You are standing in an open field west of a white house, with a boarded front door.
+There is a small mailbox here.
+
+>`;
+  }
+
+  processCommand(cmd) {
+    const words = cmd.toLowerCase().trim().split(/\s+/);
+    if (words.length === 0) return '>';
+
+    const verb = words[0];
+    const noun = words.slice(1).join(' ');
+
+    if (this.quitPending) {
+      this.quitPending = false;
+      if (verb === 'y' || verb === 'yes') {
+        this.gameEnded = true;
+        return 'Goodbye.\n';
+      }
+      return 'Ok.\n>';
+    }
+
+    // Navigation
+    if (verb === 'look' || verb === 'l') {
+      return this.doLook();
+    } else if (verb === 'go' || verb === 'walk' || verb === 'move') {
+      return this.doGo(noun);
+    } else if (['north', 'n', 'south', 's', 'east', 'e', 'west', 'w', 'up', 'u', 'down', 'd'].includes(verb)) {
+      return this.doGo(verb);
+    }
+    // Object interaction
+    else if (verb === 'open' || verb === 'unlock') {
+      return this.doOpen(noun);
+    } else if (verb === 'take' || verb === 'get' || verb === 'grab' || verb === 'pick') {
+      return this.doTake(noun);
+    } else if (verb === 'drop') {
+      return this.doDrop(noun);
+    } else if (verb === 'inventory' || verb === 'i' || verb === 'inv') {
+      return this.doInventory();
+    } else if (verb === 'examine' || verb === 'x' || verb === 'look' && noun) {
+      return this.doExamine(noun);
+    } else if (verb === 'read') {
+      return this.doRead(noun);
+    }
+    // Meta commands
+    else if (verb === 'help') {
+      return this.doHelp();
+    } else if (verb === 'quit' || verb === 'q') {
+      return this.doQuit();
+    } else if (verb === 'score') {
+      return this.doScore();
+    } else if (verb === 'wait') {
+      return this.doWait();
+    } else if (verb === 'restart') {
+      return this.doRestart();
+    } else {
+      return "I don't understand that command. Type 'help' for a list of commands.\n>";
+    }
+  }
+
+  doLook() {
+    if (this.location === 'field') {
+      let msg = `West of House
+You are standing in an open field west of a white house, with a boarded front door.
+There is a small mailbox here.`;
+      if (this.inventory.length > 0) {
+        msg += '\n\nYou are carrying:\n  ' + this.inventory.join('\n  ');
+      }
+      return msg + '\n>';
+    } else if (this.location === 'porch') {
+      return `Front Porch
+You are on the porch of the white house. The front door is to the east.
+The windows are boarded up. A path leads west back to the field.
+
+>`;
+    }
+    return `Unknown location.
+>`;
+  }
+
+  doGo(direction) {
+    const dir = direction.toLowerCase();
+    
+    if (this.location === 'field') {
+      if (dir === 'east' || dir === 'e') {
+        this.location = 'porch';
+        return `You go around to the front of the house and climb the porch.
+>`;
+      } else if (dir === 'north' || dir === 'south' || dir === 'west' || dir === 'w') {
+        return `You would only find more fields that way.
+>`;
+      }
+    } else if (this.location === 'porch') {
+      if (dir === 'west' || dir === 'w' || dir === 'back') {
+        this.location = 'field';
+        return `You go back to the open field.
+>`;
+      } else if (dir === 'east' || dir === 'e' || dir === 'enter' || dir === 'in') {
+        return `The door is locked. You need to find another way in.
+>`;
+      }
+    }
+    return `You can't go that way.
+>`;
+  }
+
+  doOpen(thing) {
+    if (thing === 'mailbox' || thing === 'box') {
+      this.openedMailbox = true;
+      return `You open the mailbox. Inside, you see a brochure.
+>`;
+    } else if (thing === 'door') {
+      return `It's locked. You need a key or another way in.
+>`;
+    } else if (thing === 'window') {
+      return `The windows are boarded up. You can't open them.
+>`;
+    }
+    return `You can't open that.
+>`;
+  }
+
+  doTake(thing) {
+    if (this.location !== 'field') {
+      return `You don't see that here.
+>`;
+    }
+    
+    // Handle knife
+    if (thing === 'knife' || thing === 'rusty knife' || thing === 'rusty') {
+      if (this.inventory.includes('rusty knife')) {
+        return `You already have that.
+>`;
+      }
+      this.inventory.push('rusty knife');
+      return `Taken.
+>`;
+    }
+    
+    // Handle brochure
+    if (thing === 'brochure' || thing === 'paper' || thing === 'mail') {
+      if (!this.openedMailbox) {
+        return `You don't see that here. Maybe you should open the mailbox first?
+>`;
+      }
+      if (this.inventory.includes('brochure')) {
+        return `You already have that.
+>`;
+      }
+      this.inventory.push('brochure');
+      return `Taken.
+>`;
+    }
+    
+    if (thing === 'mailbox') {
+      return `That's fixed in place.
+>`;
+    }
+    return `You don't see that here.
+>`;
+  }
+
+  doDrop(thing) {
+    if (thing === 'knife' || thing === 'rusty knife' || thing === 'rusty') {
+      const idx = this.inventory.indexOf('rusty knife');
+      if (idx >= 0) {
+        this.inventory.splice(idx, 1);
+        return `Dropped.
+>`;
+      }
+    }
+    return `You don't have that.
+>`;
+  }
+
+  doInventory() {
+    if (this.inventory.length === 0) {
+      return `You are not carrying anything.
+>`;
+    }
+    return `You are carrying:\n  ${this.inventory.join('\n  ')}\n>`;
+  }
+
+  doExamine(thing) {
+    if (thing === 'mailbox' || thing === 'box') {
+      return `It's a small US mailbox, painted blue. There's a small slot in it.${this.openedMailbox ? ' It\'s open.' : ''}
+>`;
+    } else if (thing === 'knife' || thing === 'rusty knife' || thing === 'rusty') {
+      return this.inventory.includes('rusty knife') 
+        ? `It's a rusty knife. The blade is pitted from years of exposure. You could take it if you want.
+>`
+        : `A rusty knife is stuck in the ground here. The blade is pitted from years of exposure.
+>`;
+    } else if (thing === 'door' && this.location === 'porch') {
+      return `The front door is locked. It's a heavy wooden door with iron reinforcements.
+>`;
+    } else if (thing === 'brochure' || thing === 'paper') {
+      return `A brochure for the "Great Underground Empire". It mentions something about a thief and treasures...
+>`;
+    } else if (thing === 'house' && this.location === 'field') {
+      return `The house is a three-story Georgian-style house, painted white. The front door is boarded up.
+>`;
+    }
+    return `You see nothing special about that.
+>`;
+  }
+
+  doRead(thing) {
+    if (thing === 'brochure' || thing === 'paper') {
+      if (this.inventory.includes('brochure')) {
+        return `"WELCOME TO THE GREAT UNDERGROUND EMPIRE!
+A world of excitement, adventure, and danger awaits you.
+Discover the treasures of Zork!
+
+Note: The Front Door is locked. Try the West of House...
+`;
+      }
+      return `You don't have anything to read.
+>`;
+    } else if (thing === 'mailbox') {
+      return `The mailbox is too dirty to read.
+>`;
+    }
+    return `You can't read that.
+>`;
+  }
+
+  doScore() {
+    const score = this.inventory.length * 10;
+    return `Your score is ${score}.
+>`;
+  }
+
+  doWait() {
+    return `Time passes...
+>`;
+  }
+
+  doRestart() {
+    this.location = 'field';
+    this.inventory = [];
+    this.openedMailbox = false;
+    this.gameStarted = false;
+    this.restarted = true;
+    return this.start();
+  }
+
+  doHelp() {
+    return `Available commands:
+  look / l              - Look around
+  go [direction]        - Move (north/south/east/west/up/down)
+  open [thing]          - Open something
+  take [thing]          - Pick something up
+  drop [thing]          - Drop something
+  inventory / i         - Check what you're carrying
+  examine / x [thing]   - Look at something closely
+  read [thing]          - Read something
+  score                 - Check your score
+  wait                  - Wait for a while
+  restart               - Start the game over
+  help                  - Show this message
+  quit / q              - Quit the game
+>`;
+  }
+
+  doQuit() {
+    this.quitPending = true;
+    return `Would you like to quit? (Y)es or (N)o: >`;
+  }
+}
+
+class SimpleSession extends EngineSession {
+  constructor(game, options) {
+    super('simple', game, options);
+    this.zmachine = new ZMachineAPI(game.data);
+  }
+
+  start() {
+    this.outputBuffer = this.zmachine.start();
+    this.status = this.readStatus();
+    return this.outputBuffer;
+  }
+
+  sendCommand(command) {
+    this.turns++;
+    this.outputBuffer = this.zmachine.input(command);
+    if (this.zmachine.restarted) {
+      this.zmachine.restarted = false;
+      this.restartedInGame = true;
+      this.turns = 0;
+    }
+    if (this.zmachine.gameEnded) {
+      this.turnEnd = 'exited';
+      this.exitDetails = { reason: 'quit' };
+    }
+    this.status = this.readStatus();
+    return this.outputBuffer;
+  }
+
+  reset() {
+    this.zmachine = new ZMachineAPI(this.story);
+  }
+
+  // Same scoring as the engine's own "score" command
+  readStatus() {
+    const { location, inventory } = this.zmachine;
+    return scoreStatus(LOCATION_NAMES[location] || location, inventory.length * 10, this.turns);
+  }
+
+  snapshot() {
+    const { location, inventory, openedMailbox, quitPending, gameEnded } = this.zmachine;
+    return { location, inventory: [...inventory], openedMailbox, quitPending, gameEnded };
+  }
+
+  restore(data) {
+    Object.assign(this.zmachine, data, { inventory: [...data.inventory], gameStarted: true });
+    const output = this.zmachine.doLook();
+    this.status = this.readStatus();
+    return output;
+  }
+}
+
+module.exports = {
+  name: 'simple',
+  description: 'Built-in demo engine (does not run Z-code)',
+  isAvailable: () => ({ available: true }),
+  createSession: (game, options) => new SimpleSession(game, options),
+  ZMachineAPI
+};
@@ -0,0 +1,67 @@
+/**
+ * Status line helpers
+ * Every engine reports the status line as
+ * { location, score, moves } or, for time games, { location, hours, minutes }
+ */
+
+const SCORE_MOVES = /^Score:\s*(-?\d+)\s+(?:Moves|Turns):\s*(\d+)$/i;
+const TIME = /^(?:Time:\s*)?(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?$/i;
+const SLASH = /^(-?\d+)\s*\/\s*(\d+)$/;
+
+// A status line is a location, a gap of two or more spaces, then the score or time
+const STATUS_LINE = /^\s*(\S.*?)\s{2,}(\S.*?)\s*$/;
+
+function scoreStatus(location, score, moves) {
+  return { location, score, moves };
+}
+
+function timeStatus(location, hours, minutes) {
+  return { location, hours, minutes };
+}
+
+// Parse the right-hand side of a status line ("Score: 10  Moves: 5", "Time: 9:05", "10/5")
+function parseStatusRight(location, rhs) {
+  const text = (rhs || '').trim();
+  let match;
+
+  if ((match = SCORE_MOVES.exec(text)) || (match = SLASH.exec(text))) {
+    return scoreStatus(location, parseInt(match[1], 10), parseInt(match[2], 10));
+  }
+  if ((match = TIME.exec(text))) {
+    let hours = parseInt(match[1], 10);
+    const meridiem = (match[3] || '').toLowerCase();
+    if (meridiem.startsWith('p') && hours < 12) hours += 12;
+    if (meridiem.startsWith('a') && hours === 12) hours = 0;
+    return timeStatus(location, hours, parseInt(match[2], 10));
+  }
+  return null;
+}
+
+// Parse a whole status line ("West of House      Score: 0  Moves: 1")
+function parseStatusLine(line) {
+  const match = STATUS_LINE.exec(line);
+  return match ? parseStatusRight(match[1], match[2]) : null;
+}
+
+// Take the status line from the top of one turn's interpreter output, where dfrotz
+// prints it, and return it parsed with the output minus that line. Only the first
+// line with text is checked, so game text that looks like a status line is left alone.
+function extractStatusLine(output) {
+  const lines = output.split('\n');
+  const first = lines.findIndex(line => line.trim());
+  const status = first >= 0 ? parseStatusLine(lines[first]) : null;
+
+  if (status) {
+    lines.splice(first, 1);
+    return { status, output: lines.join('\n') };
+  }
+  return { status: null, output };
+}
+
+module.exports = {
+  scoreStatus,
+  timeStatus,
+  parseStatusRight,
+  parseStatusLine,
+  extractStatusLine
+};
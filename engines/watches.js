@@ -0,0 +1,118 @@
+/**
+ * Watchpoints
+ * Debug watches on a session's globals, object attributes and object
+ * locations. Values are compared before and after each turn; every watch
+ * whose value changed is reported as a hit with its before and after values.
+ * Reading them needs an engine with readGlobal and objectTable (ebozz).
+ */
+
+const WATCH_TYPES = ['global', 'attribute', 'move'];
+const MAX_WATCHES = 64;
+const GLOBAL_COUNT = 240;
+
+class WatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WatchError';
+    this.status = status;
+  }
+}
+
+class WatchList {
+  constructor(session) {
+    this.session = session;
+    this.watches = new Map();
+    this.nextId = 1;
+  }
+
+  get size() {
+    return this.watches.size;
+  }
+
+  /**
+   * Add a watch: { type: 'global', global }, { type: 'attribute', object, attribute }
+   * or { type: 'move', object }. Returns it with its id and current value.
+   */
+  add(spec) {
+    const { type } = spec || {};
+    if (!WATCH_TYPES.includes(type)) {
+      throw new WatchError(`type must be one of ${WATCH_TYPES.join(', ')}`);
+    }
+    if (this.watches.size >= MAX_WATCHES) {
+      throw new WatchError(`A session can have at most ${MAX_WATCHES} watches`, 409);
+    }
+
+    const watch = { id: this.nextId, type };
+    if (type === 'global') {
+      watch.global = checkGlobal(spec.global);
+    } else {
+      const table = this.session.objectTable();
+      if (!table.has(spec.object)) {
+        throw new WatchError(`No object ${spec.object} (the game has ${table.count})`, 404);
+      }
+      watch.object = spec.object;
+      if (type === 'attribute') {
+        if (!Number.isInteger(spec.attribute) || spec.attribute < 0 || spec.attribute >= table.attributeCount) {
+          throw new WatchError(`attribute must be a number from 0 to ${table.attributeCount - 1}`);
+        }
+        watch.attribute = spec.attribute;
+      }
+    }
+
+    const value = this.read(watch);
+    this.nextId++;
+    this.watches.set(watch.id, watch);
+    return { ...watch, value };
+  }
+
+  remove(id) {
+    if (!this.watches.delete(id)) {
+      throw new WatchError('Watch not found', 404);
+    }
+  }
+
+  list() {
+    return Array.from(this.watches.values(), watch => ({ ...watch, value: this.read(watch) }));
+  }
+
+  read(watch) {
+    if (watch.type === 'global') return this.session.readGlobal(watch.global);
+
+    const table = this.session.objectTable();
+    if (watch.type === 'attribute') return table.hasAttribute(watch.object, watch.attribute);
+    return table.parent(watch.object);
+  }
+
+  // Every watch's current value, to compare after the turn
+  capture() {
+    const values = new Map();
+    for (const watch of this.watches.values()) {
+      values.set(watch.id, this.read(watch));
+    }
+    return values;
+  }
+
+  // Watches whose values changed since capture(): [{ ...watch, before, after }]
+  diff(before) {
+    const hits = [];
+    for (const [id, value] of before) {
+      const watch = this.watches.get(id);
+      if (!watch) continue;
+      const after = this.read(watch);
+      if (JSON.stringify(after) !== JSON.stringify(value)) {
+        hits.push({ ...watch, before: value, after });
+      }
+    }
+    return hits;
+  }
+}
+
+// Globals are numbered 0-239 (variables 16-255)
+function checkGlobal(number) {
+  if (!Number.isInteger(number) || number < 0 || number >= GLOBAL_COUNT) {
+    throw new WatchError(`global must be a number from 0 to ${GLOBAL_COUNT - 1}`);
+  }
+  return number;
+}
+
+module.exports = { WatchError, WatchList, checkGlobal, GLOBAL_COUNT };
@@ -0,0 +1,43 @@
+/**
+ * Client-facing errors
+ * Messages sent to API clients never carry server paths or stack traces.
+ * Errors raised on purpose (SessionError, LibraryError, plain Error) keep
+ * their message; programming and system errors are logged and reported
+ * as a generic 500.
+ */
+
+// Absolute POSIX or Windows paths, reduced to their last component
+const ABSOLUTE_PATH = /(?:[A-Za-z]:)?[\\/](?:[\w.@+~-]+[\\/])+([\w.@+~-]+)/g;
+
+function isInternal(error) {
+  return !(error instanceof Error) ||
+    error instanceof TypeError ||
+    error instanceof ReferenceError ||
+    error instanceof RangeError ||
+    error instanceof SyntaxError && !error.status ||
+    typeof error.code === 'string' && error.code.startsWith('E') && !error.status;
+}
+
+function redactPaths(text) {
+  return String(text).replace(ABSOLUTE_PATH, '$1');
+}
+
+function publicMessage(error) {
+  if (isInternal(error)) return 'Internal server error';
+  return redactPaths(error.message);
+}
+
+// Answer with the error's own status (or the given default) and a safe message
+function sendError(res, error, status = 400) {
+  if (isInternal(error)) {
+    console.error(error);
+    return res.status(error && error.status || 500).json({ error: 'Internal server error' });
+  }
+  res.status(error.status || status).json({ error: publicMessage(error) });
+}
+
+module.exports = {
+  redactPaths,
+  publicMessage,
+  sendError
+};
@@ -0,0 +1,70 @@
+/**
+ * Output formats
+ * Engines that track text styles record output as runs:
+ *   { text, style: ['bold', 'italic', 'reverse', 'fixed'], foreground, background }
+ * These render the runs as plain text, HTML spans, ANSI escapes or raw JSON runs.
+ */
+
+const FORMATS = ['plain', 'html', 'ansi', 'runs'];
+
+const ANSI_STYLES = { bold: 1, italic: 3, reverse: 7 };
+const ANSI_COLORS = {
+  black: 0, red: 1, green: 2, yellow: 3, blue: 4, magenta: 5, cyan: 6, white: 7,
+  lightgrey: 7, grey: 8, darkgrey: 8
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function renderHtml(runs) {
+  return runs.map(run => {
+    const classes = run.style.map(name => `zm-${name}`);
+    if (run.foreground) classes.push(`zm-fg-${run.foreground}`);
+    if (run.background) classes.push(`zm-bg-${run.background}`);
+
+    const text = escapeHtml(run.text);
+    return classes.length ? `<span class="${classes.join(' ')}">${text}</span>` : text;
+  }).join('');
+}
+
+function ansiColor(name, base) {
+  const code = ANSI_COLORS[name];
+  // Grey shades live in the bright range (90-97 / 100-107)
+  return code === 8 ? base + 60 : base + code;
+}
+
+function renderAnsi(runs) {
+  return runs.map(run => {
+    const codes = run.style.filter(name => ANSI_STYLES[name]).map(name => ANSI_STYLES[name]);
+    if (run.foreground in ANSI_COLORS) codes.push(ansiColor(run.foreground, 30));
+    if (run.background in ANSI_COLORS) codes.push(ansiColor(run.background, 40));
+
+    return codes.length ? `\x1b[${codes.join(';')}m${run.text}\x1b[0m` : run.text;
+  }).join('');
+}
+
+// Render runs (or plain text, for engines without styles) in the requested format
+function renderOutput(output, runs, format = 'plain') {
+  const styled = runs || (output ? [{ text: output, style: [], foreground: null, background: null }] : []);
+
+  switch (format) {
+    case 'plain':
+      return output;
+    case 'html':
+      return renderHtml(styled);
+    case 'ansi':
+      return renderAnsi(styled);
+    case 'runs':
+      return styled;
+    default:
+      throw new Error(`Unknown format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  renderOutput
+};
@@ -0,0 +1,245 @@
+/**
+ * Object inspector
+ * Debug routes that show a game's object tree, globals and memory, and set
+ * watchpoints on them, for testing puzzles. Off unless INSPECTOR is "all"
+ * (every session) or "session" (sessions started with { inspector: true }).
+ * Only engines that can read game memory (ebozz) support it.
+ *
+ *   GET    /api/sessions/:sessionId/objects                 the whole tree
+ *   GET    /api/sessions/:sessionId/objects/location        the status-line object and its contents
+ *   GET    /api/sessions/:sessionId/objects/:num            attributes and properties
+ *   GET    /api/sessions/:sessionId/objects/:num/contents   direct children
+ *   GET    /api/sessions/:sessionId/globals                 all 240 globals
+ *   GET    /api/sessions/:sessionId/globals/:num            one global
+ *   PUT    /api/sessions/:sessionId/globals/:num            { value }
+ *   GET    /api/sessions/:sessionId/memory?start=&length=   a memory dump
+ *   GET    /api/sessions/:sessionId/watches                 watchpoints and their values
+ *   POST   /api/sessions/:sessionId/watches                 { type, global | object, attribute? }
+ *   DELETE /api/sessions/:sessionId/watches/:watchId
+ */
+
+const { SessionError } = require('./engines/session');
+const { GLOBAL_COUNT, checkGlobal } = require('./engines/watches');
+const { sendError } = require('./errors');
+
+// Longest memory dump, and the length given without ?length=
+const MAX_DUMP_LENGTH = 4096;
+const DEFAULT_DUMP_LENGTH = 256;
+
+const INSPECTOR_MODES = ['off', 'session', 'all'];
+const INSPECTOR = INSPECTOR_MODES.includes(process.env.INSPECTOR) ? process.env.INSPECTOR : 'off';
+
+// Whether a new session gets the inspector; throws if it asks for one the server doesn't allow
+function inspectorEnabled(requested) {
+  const wanted = requested === true || requested === 'true';
+  if (wanted && INSPECTOR === 'off') {
+    throw new SessionError('Object inspector is disabled on this server', 403);
+  }
+  return INSPECTOR === 'all' || wanted;
+}
+
+// A session with the inspector on, or null after answering with an error
+function openSession(req, res, sessions) {
+  const session = sessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  if (!session.inspector) {
+    res.status(403).json({ error: 'Object inspector is not enabled for this session' });
+    return null;
+  }
+  return session;
+}
+
+// The session's object table, or null after answering with an error
+function openTable(req, res, sessions) {
+  const session = openSession(req, res, sessions);
+  if (!session) return null;
+
+  try {
+    return session.objectTable();
+  } catch (error) {
+    sendError(res, error);
+    return null;
+  }
+}
+
+// Words read back signed too, since games keep negative numbers in them
+function describeGlobal(number, value) {
+  return { global: number, value, signed: (value << 16) >> 16 };
+}
+
+function hexDump(data) {
+  return data.toString('hex').replace(/(..)(?!$)/g, '$1 ');
+}
+
+// Parse :num, answering 404 for numbers outside the table
+function objectNumber(req, res, table) {
+  const number = Number(req.params.num);
+  if (!table.has(number)) {
+    res.status(404).json({ error: `No object ${req.params.num} (the game has ${table.count})` });
+    return null;
+  }
+  return number;
+}
+
+function registerInspectorRoutes(app, sessions) {
+  app.get('/api/sessions/:sessionId/objects', (req, res) => {
+    const table = openTable(req, res, sessions);
+    if (!table) return;
+
+    res.json({
+      sessionId: req.params.sessionId,
+      count: table.count,
+      location: table.location(),
+      tree: table.tree()
+    });
+  });
+
+  // Where the player is: the object the status line names
+  app.get('/api/sessions/:sessionId/objects/location', (req, res) => {
+    const table = openTable(req, res, sessions);
+    if (!table) return;
+
+    const number = table.location();
+    if (number === null) {
+      return res.status(404).json({ error: 'The game has no location in its status-line global' });
+    }
+    res.json({
+      sessionId: req.params.sessionId,
+      ...table.describe(number),
+      contents: table.contents(number)
+    });
+  });
+
+  app.get('/api/sessions/:sessionId/objects/:num', (req, res) => {
+    const table = openTable(req, res, sessions);
+    if (!table) return;
+    const number = objectNumber(req, res, table);
+    if (number === null) return;
+
+    res.json({ sessionId: req.params.sessionId, ...table.describe(number) });
+  });
+
+  app.get('/api/sessions/:sessionId/objects/:num/contents', (req, res) => {
+    const table = openTable(req, res, sessions);
+    if (!table) return;
+    const number = objectNumber(req, res, table);
+    if (number === null) return;
+
+    res.json({
+      sessionId: req.params.sessionId,
+      ...table.brief(number),
+      contents: table.contents(number)
+    });
+  });
+
+  app.get('/api/sessions/:sessionId/globals', (req, res) => {
+    const session = openSession(req, res, sessions);
+    if (!session) return;
+
+    try {
+      const globals = [];
+      for (let number = 0; number < GLOBAL_COUNT; number++) {
+        globals.push(describeGlobal(number, session.readGlobal(number)));
+      }
+      res.json({ sessionId: req.params.sessionId, globals });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get('/api/sessions/:sessionId/globals/:num', (req, res) => {
+    const session = openSession(req, res, sessions);
+    if (!session) return;
+
+    try {
+      const number = checkGlobal(Number(req.params.num));
+      res.json({ sessionId: req.params.sessionId, ...describeGlobal(number, session.readGlobal(number)) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Set a global between turns; value is a word, signed or unsigned
+  app.put('/api/sessions/:sessionId/globals/:num', async (req, res) => {
+    const session = openSession(req, res, sessions);
+    if (!session) return;
+
+    const { value } = req.body || {};
+    try {
+      const number = checkGlobal(Number(req.params.num));
+      if (!Number.isInteger(value) || value < -32768 || value > 65535) {
+        throw new SessionError('value must be a whole number from -32768 to 65535');
+      }
+
+      const before = await session.enqueue(() => {
+        const previous = session.readGlobal(number);
+        session.writeGlobal(number, value);
+        return previous;
+      });
+      res.json({
+        sessionId: req.params.sessionId,
+        ...describeGlobal(number, session.readGlobal(number)),
+        before
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get('/api/sessions/:sessionId/memory', (req, res) => {
+    const session = openSession(req, res, sessions);
+    if (!session) return;
+
+    const start = Number(req.query.start || 0);
+    const length = Number(req.query.length || DEFAULT_DUMP_LENGTH);
+    if (!Number.isInteger(start) || start < 0 || !Number.isInteger(length) || length < 1 || length > MAX_DUMP_LENGTH) {
+      return res.status(400).json({ error: `start must be an address and length from 1 to ${MAX_DUMP_LENGTH}` });
+    }
+
+    try {
+      const data = session.readMemory(start, length);
+      res.json({ sessionId: req.params.sessionId, start, length, hex: hexDump(data), data: Array.from(data) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get('/api/sessions/:sessionId/watches', (req, res) => {
+    const session = openSession(req, res, sessions);
+    if (!session) return;
+
+    try {
+      res.json({ sessionId: req.params.sessionId, watches: session.watches.list() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.post('/api/sessions/:sessionId/watches', (req, res) => {
+    const session = openSession(req, res, sessions);
+    if (!session) return;
+
+    try {
+      res.status(201).json({ sessionId: req.params.sessionId, ...session.watches.add(req.body) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.delete('/api/sessions/:sessionId/watches/:watchId', (req, res) => {
+    const session = openSession(req, res, sessions);
+    if (!session) return;
+
+    try {
+      session.watches.remove(Number(req.params.watchId));
+      res.json({ success: true, message: 'Watch removed' });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+}
+
+module.exports = { inspectorEnabled, registerInspectorRoutes };
@@ -0,0 +1,329 @@
+/**
+ * Game library
+ * Lists the story files in one or more library roots (games directories)
+ * with their header metadata. Games are identified by a hash of their
+ * contents; each root keeps an index of IDs, file names and user-edited
+ * details so it survives restarts. Files copied in by hand are indexed the
+ * next time it is read. Only files listed in an index can be loaded.
+ * Parsed headers are cached by path, size and modification time.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadStory, parseStoryHeader } = require('./story');
+
+const STORY_EXTENSION = /\.(z[1-8]|zip|zblorb|zlb)$/i;
+const INDEX_FILE = '.library.json';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 4000;
+const MAX_TAGS = 32;
+const MAX_TAG_LENGTH = 64;
+
+class LibraryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LibraryError';
+    this.status = status;
+  }
+}
+
+const metadataCache = new Map();
+
+function readMetadata(fullPath, stat) {
+  const cached = metadataCache.get(fullPath);
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+    return cached.metadata;
+  }
+
+  let metadata;
+  try {
+    metadata = describeStory(fs.readFileSync(fullPath));
+  } catch (error) {
+    metadata = { error: error.message };
+  }
+
+  metadataCache.set(fullPath, { size: stat.size, mtimeMs: stat.mtimeMs, metadata });
+  return metadata;
+}
+
+// Header metadata for story data in any container; throws if there is no story
+function describeStory(data) {
+  const { story, container, entry, ifiction, cover } = loadStory(data);
+  return {
+    container,
+    ...(entry ? { entry } : {}),
+    ...parseStoryHeader(story),
+    hasIfiction: Boolean(ifiction),
+    cover: cover ? cover.format : null
+  };
+}
+
+// Stable ID for a story file: the start of its SHA-256
+function contentId(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+}
+
+function readIndex(gamesDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(gamesDir, INDEX_FILE), 'utf8'));
+  } catch (error) {
+    return { games: {} };
+  }
+}
+
+function writeIndex(gamesDir, index) {
+  const indexPath = path.join(gamesDir, INDEX_FILE);
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tempPath, indexPath);
+}
+
+// Bring the index in line with the story files on disk and return it
+function syncIndex(gamesDir) {
+  const index = readIndex(gamesDir);
+  if (!fs.existsSync(gamesDir)) return index;
+
+  const byFile = new Map(Object.values(index.games).map(entry => [entry.file, entry]));
+  const files = fs.readdirSync(gamesDir).filter(file => STORY_EXTENSION.test(file));
+  let changed = false;
+
+  for (const file of files) {
+    const stat = fs.statSync(path.join(gamesDir, file));
+    const known = byFile.get(file);
+    if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) continue;
+
+    // New or changed on disk: (re)hash, keeping any details the user set
+    const id = contentId(fs.readFileSync(path.join(gamesDir, file)));
+    if (known) delete index.games[known.id];
+    index.games[id] = {
+      title: null,
+      description: null,
+      tags: [],
+      addedAt: new Date(stat.mtimeMs).toISOString(),
+      ...(known || {}),
+      id,
+      file,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs
+    };
+    changed = true;
+  }
+
+  const present = new Set(files);
+  for (const entry of Object.values(index.games)) {
+    if (!present.has(entry.file)) {
+      delete index.games[entry.id];
+      changed = true;
+    }
+  }
+
+  if (changed) writeIndex(gamesDir, index);
+  return index;
+}
+
+function describeGame(gamesDir, entry) {
+  const fullPath = path.join(gamesDir, entry.file);
+  const stat = fs.statSync(fullPath);
+
+  return {
+    id: entry.id,
+    name: entry.title || entry.file,
+    file: entry.file,
+    path: `/games/${entry.file}`,
+    size: stat.size,
+    title: entry.title,
+    description: entry.description,
+    tags: entry.tags,
+    addedAt: entry.addedAt,
+    ...readMetadata(fullPath, stat)
+  };
+}
+
+function listGames(roots) {
+  return roots.flatMap(gamesDir => Object.values(syncIndex(gamesDir).games)
+    .sort((a, b) => a.file.localeCompare(b.file))
+    .map(entry => describeGame(gamesDir, entry)));
+}
+
+// Index entry for a content ID, or for a file name as older clients used
+function findEntry(index, id) {
+  return index.games[id] ||
+    Object.values(index.games).find(entry => entry.file === id) ||
+    null;
+}
+
+// Find a game across the roots: { gamesDir, index, entry } or null
+function findGame(roots, id) {
+  if (typeof id !== 'string' || !id) return null;
+
+  for (const gamesDir of roots) {
+    const index = syncIndex(gamesDir);
+    const entry = findEntry(index, id);
+    if (entry) return { gamesDir, index, entry };
+  }
+  return null;
+}
+
+// Look up one game by ID
+function getGame(roots, id) {
+  const found = findGame(roots, id);
+  return found ? describeGame(found.gamesDir, found.entry) : null;
+}
+
+// Unwrapped story and container extras (iFiction, cover art) for one game
+function readGameStory(roots, id) {
+  const found = findGame(roots, id);
+  return found && loadStory(fs.readFileSync(path.join(found.gamesDir, found.entry.file)));
+}
+
+/**
+ * Load a game for a session by ID, file name or listed path (/games/<file>).
+ * Returns { id, path, fullPath, data, container } with data the bare Z-code;
+ * anything not in a library index is "not found", whatever is on disk.
+ */
+function openGame(roots, ref) {
+  const id = typeof ref === 'string' ? ref.replace(/^\/?games\//, '') : ref;
+  const found = findGame(roots, id);
+  if (!found) {
+    throw new LibraryError('Game not found', 404);
+  }
+
+  const { gamesDir, entry } = found;
+  const fullPath = path.join(gamesDir, entry.file);
+  const { story, container } = loadStory(fs.readFileSync(fullPath));
+  return { id: entry.id, path: `/games/${entry.file}`, fullPath, data: story, container };
+}
+
+// A safe file name for an upload, with an extension the listing recognizes
+function uploadFileName(originalName, metadata, id) {
+  const base = path.basename(originalName || '')
+    .replace(/[^A-Za-z0-9._-]/g, '_')
+    .replace(/^\.+/, '');
+
+  if (STORY_EXTENSION.test(base)) return base;
+
+  const stem = base.replace(/\.[^.]*$/, '') || id;
+  switch (metadata.container) {
+    case 'zcode': return `${stem}.z${metadata.version}`;
+    case 'blorb': return `${stem}.zblorb`;
+    default: return `${stem}.zip`;
+  }
+}
+
+function checkDetails(details) {
+  const { title, description, tags } = details;
+  const checked = {};
+
+  if (title !== undefined) {
+    if (title !== null && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+      throw new LibraryError(`title must be a string of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    checked.title = title || null;
+  }
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      throw new LibraryError(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    checked.description = description || null;
+  }
+  if (tags !== undefined) {
+    const valid = tags === null || Array.isArray(tags) && tags.length <= MAX_TAGS &&
+      tags.every(tag => typeof tag === 'string' && tag.length > 0 && tag.length <= MAX_TAG_LENGTH);
+    if (!valid) {
+      throw new LibraryError(`tags must be an array of at most ${MAX_TAGS} non-empty strings`);
+    }
+    checked.tags = [...new Set(tags || [])];
+  }
+
+  return checked;
+}
+
+/**
+ * Add an uploaded story file to the library.
+ * Rejects files that hold no Z-code story and files already in the library.
+ */
+function addGame(roots, data, originalName, details = {}) {
+  const checked = checkDetails(details);
+
+  let metadata;
+  try {
+    metadata = describeStory(data);
+  } catch (error) {
+    throw new LibraryError(`Not a Z-code story or story container: ${error.message}`);
+  }
+
+  const id = contentId(data);
+  if (findGame(roots, id)) {
+    throw new LibraryError(`Game already in the library as ${id}`, 409);
+  }
+
+  // Uploads go to the first root
+  const gamesDir = roots[0];
+  fs.mkdirSync(gamesDir, { recursive: true });
+  const index = syncIndex(gamesDir);
+
+  let file = uploadFileName(originalName, metadata, id);
+  if (fs.existsSync(path.join(gamesDir, file))) {
+    file = `${id}-${file}`;
+  }
+
+  const fullPath = path.join(gamesDir, file);
+  fs.writeFileSync(fullPath, data, { flag: 'wx' });
+  const stat = fs.statSync(fullPath);
+
+  index.games[id] = {
+    title: null,
+    description: null,
+    tags: [],
+    ...checked,
+    addedAt: new Date().toISOString(),
+    id,
+    file,
+    size: stat.size,
+    mtimeMs: stat.mtimeMs
+  };
+  writeIndex(gamesDir, index);
+
+  return describeGame(gamesDir, index.games[id]);
+}
+
+// Update a game's title, description or tags
+function updateGame(roots, id, details) {
+  const checked = checkDetails(details);
+  const found = findGame(roots, id);
+  if (!found) {
+    throw new LibraryError('Game not found', 404);
+  }
+
+  const { gamesDir, index, entry } = found;
+  Object.assign(entry, checked);
+  writeIndex(gamesDir, index);
+  return describeGame(gamesDir, entry);
+}
+
+// Remove a game's file and index entry
+function removeGame(roots, id) {
+  const found = findGame(roots, id);
+  if (!found) {
+    throw new LibraryError('Game not found', 404);
+  }
+
+  const { gamesDir, index, entry } = found;
+  fs.rmSync(path.join(gamesDir, entry.file), { force: true });
+  delete index.games[entry.id];
+  writeIndex(gamesDir, index);
+  metadataCache.delete(path.join(gamesDir, entry.file));
+}
+
+module.exports = {
+  LibraryError,
+  listGames,
+  getGame,
+  readGameStory,
+  openGame,
+  addGame,
+  updateGame,
+  removeGame
+};
@@ -0,0 +1,233 @@
+/**
+ * Quetzal save file support
+ * Reads and writes the standard IFZS format (IFhd, CMem/UMem, Stks chunks)
+ * so saves can move between this API and other interpreters
+ */
+
+// Header fields that identify a story file
+function readStoryHeader(story) {
+  return {
+    version: story[0],
+    release: story.readUInt16BE(0x02),
+    serial: story.subarray(0x12, 0x18).toString('latin1'),
+    checksum: story.readUInt16BE(0x1c),
+    staticBase: story.readUInt16BE(0x0e)
+  };
+}
+
+function writeChunk(id, data) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 4, 'latin1');
+  header.writeUInt32BE(data.length, 4);
+  const parts = [header, data];
+  if (data.length % 2) parts.push(Buffer.alloc(1));
+  return Buffer.concat(parts);
+}
+
+// XOR dynamic memory against the original story, then run-length encode zero bytes
+function compressMemory(memory, story, staticBase) {
+  const out = [];
+  let zeros = 0;
+
+  for (let i = 0; i < staticBase; i++) {
+    const b = memory[i] ^ story[i];
+    if (b === 0) {
+      zeros++;
+      continue;
+    }
+    while (zeros > 0) {
+      const run = Math.min(zeros, 256);
+      out.push(0, run - 1);
+      zeros -= run;
+    }
+    out.push(b);
+  }
+
+  // Trailing zero runs may be omitted
+  return Buffer.from(out);
+}
+
+function decompressMemory(data, story, staticBase) {
+  const memory = Buffer.from(story.subarray(0, staticBase));
+  let pos = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] === 0) {
+      if (i + 1 >= data.length) {
+        throw new Error('Corrupt CMem chunk');
+      }
+      pos += data[++i] + 1;
+    } else {
+      if (pos >= staticBase) {
+        throw new Error('CMem chunk overruns dynamic memory');
+      }
+      memory[pos] ^= data[i];
+      pos++;
+    }
+  }
+
+  if (pos > staticBase) {
+    throw new Error('CMem chunk overruns dynamic memory');
+  }
+  return memory;
+}
+
+function writeStacks(frames) {
+  const parts = [];
+
+  for (const frame of frames) {
+    const locals = frame.locals || [];
+    const stack = frame.stack || [];
+    const buf = Buffer.alloc(8 + 2 * (locals.length + stack.length));
+
+    buf.writeUIntBE(frame.returnPC || 0, 0, 3);
+    buf[3] = (locals.length & 0x0f) | (frame.discardResult ? 0x10 : 0);
+    buf[4] = frame.resultVar || 0;
+    buf[5] = (1 << (frame.argCount || 0)) - 1;
+    buf.writeUInt16BE(stack.length, 6);
+
+    let offset = 8;
+    for (const value of locals.concat(stack)) {
+      buf.writeUInt16BE(value & 0xffff, offset);
+      offset += 2;
+    }
+    parts.push(buf);
+  }
+
+  return Buffer.concat(parts);
+}
+
+function readStacks(data) {
+  const frames = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    if (offset + 8 > data.length) {
+      throw new Error('Corrupt Stks chunk');
+    }
+    const flags = data[offset + 3];
+    const argMask = data[offset + 5];
+    const localCount = flags & 0x0f;
+    const stackCount = data.readUInt16BE(offset + 6);
+    const frame = {
+      returnPC: data.readUIntBE(offset, 3),
+      discardResult: Boolean(flags & 0x10),
+      resultVar: data[offset + 4],
+      argCount: 0,
+      locals: [],
+      stack: []
+    };
+
+    while (argMask & (1 << frame.argCount)) frame.argCount++;
+
+    offset += 8;
+    if (offset + 2 * (localCount + stackCount) > data.length) {
+      throw new Error('Corrupt Stks chunk');
+    }
+    for (let i = 0; i < localCount; i++, offset += 2) {
+      frame.locals.push(data.readUInt16BE(offset));
+    }
+    for (let i = 0; i < stackCount; i++, offset += 2) {
+      frame.stack.push(data.readUInt16BE(offset));
+    }
+    frames.push(frame);
+  }
+
+  return frames;
+}
+
+/**
+ * Build a Quetzal file.
+ * state: { memory, pc, frames } where frames[0] is the dummy outer frame
+ */
+function writeQuetzal(story, state) {
+  const header = readStoryHeader(story);
+
+  const ifhd = Buffer.alloc(13);
+  ifhd.writeUInt16BE(header.release, 0);
+  ifhd.write(header.serial, 2, 6, 'latin1');
+  ifhd.writeUInt16BE(header.checksum, 8);
+  ifhd.writeUIntBE(state.pc, 10, 3);
+
+  const body = Buffer.concat([
+    Buffer.from('IFZS', 'latin1'),
+    writeChunk('IFhd', ifhd),
+    writeChunk('CMem', compressMemory(state.memory, story, header.staticBase)),
+    writeChunk('Stks', writeStacks(state.frames))
+  ]);
+
+  return writeChunk('FORM', body);
+}
+
+/**
+ * Parse a Quetzal file against the story it was saved from.
+ * Throws if the file is malformed or belongs to a different story.
+ */
+function readQuetzal(data, story) {
+  if (data.length < 12 || data.toString('latin1', 0, 4) !== 'FORM' ||
+      data.toString('latin1', 8, 12) !== 'IFZS') {
+    throw new Error('Not a Quetzal save file');
+  }
+
+  const end = Math.min(data.length, 8 + data.readUInt32BE(4));
+  const chunks = {};
+  let offset = 12;
+
+  while (offset + 8 <= end) {
+    const id = data.toString('latin1', offset, offset + 4);
+    const length = data.readUInt32BE(offset + 4);
+    if (offset + 8 + length > end) {
+      throw new Error(`Truncated ${id} chunk`);
+    }
+    if (!chunks[id]) chunks[id] = data.subarray(offset + 8, offset + 8 + length);
+    offset += 8 + length + (length % 2);
+  }
+
+  if (!chunks.IFhd || chunks.IFhd.length < 13) {
+    throw new Error('Quetzal file has no IFhd chunk');
+  }
+  if (!chunks.Stks) {
+    throw new Error('Quetzal file has no Stks chunk');
+  }
+
+  const header = readStoryHeader(story);
+  const ifhd = chunks.IFhd;
+  const saved = {
+    release: ifhd.readUInt16BE(0),
+    serial: ifhd.toString('latin1', 2, 8),
+    checksum: ifhd.readUInt16BE(8)
+  };
+
+  if (saved.release !== header.release || saved.serial !== header.serial ||
+      saved.checksum !== header.checksum) {
+    throw new Error(
+      `Save file is for release ${saved.release} / serial ${saved.serial}, ` +
+      `but the story is release ${header.release} / serial ${header.serial}`
+    );
+  }
+
+  let memory;
+  if (chunks.CMem) {
+    memory = decompressMemory(chunks.CMem, story, header.staticBase);
+  } else if (chunks.UMem) {
+    if (chunks.UMem.length !== header.staticBase) {
+      throw new Error('UMem chunk does not match dynamic memory size');
+    }
+    memory = Buffer.from(chunks.UMem);
+  } else {
+    throw new Error('Quetzal file has no memory chunk');
+  }
+
+  return {
+    ...saved,
+    pc: ifhd.readUIntBE(10, 3),
+    memory,
+    frames: readStacks(chunks.Stks)
+  };
+}
+
+module.exports = {
+  readStoryHeader,
+  writeQuetzal,
+  readQuetzal
+};
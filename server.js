@@ -1,457 +1,760 @@
 /**
  * Z-Machine API Server
  * REST API for playing Z-machine interactive fiction games
- * Uses simplified game engine (placeholder for full Z-machine interpreter)
+ * Sessions run on a pluggable engine: ebozz, dfrotz or the simple demo engine
  */
 
-const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const multer = require('multer');
 const crypto = require('crypto');
+const { loadEngines, getEngine, defaultEngine, describeEngines } = require('./engines');
+const { registerStreamRoutes, attachWebSocket } = require('./stream');
+const { registerAdminRoutes, requireAdmin } = require('./admin');
+const { inspectorEnabled, registerInspectorRoutes } = require('./inspector');
+const { FORMATS, renderOutput } = require('./format');
+const { TRANSCRIPT_FORMATS, resolveTranscriptFormat, renderTranscript } = require('./transcript');
+const { parseKey } = require('./engines/keys');
+const { listGames, getGame, readGameStory, openGame, addGame, updateGame, removeGame } = require('./library');
+const { sendError, publicMessage } = require('./errors');
+const { SessionRegistry } = require('./sessions');
+const { readDictionary } = require('./dictionary');
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '2mb' }));
+app.use(bodyParser.raw({ type: ['application/octet-stream', 'application/x-quetzal'], limit: '2mb' }));
+app.use(bodyParser.text({ type: 'text/plain', limit: '2mb' }));
 
-// In-memory game sessions
-const sessions = new Map();
+// In-memory game sessions, closed after SESSION_IDLE_TTL ms without activity
+const sessions = new SessionRegistry();
 
-// Default game path
-const DEFAULT_GAME = process.env.DEFAULT_GAME || path.join(__dirname, 'games', 'zork1.zip');
+// Game library roots (uploads go to the first) and the default game's ID or file name
+const GAMES_DIR = path.join(__dirname, 'games');
+const LIBRARY_ROOTS = process.env.GAMES_DIRS
+  ? process.env.GAMES_DIRS.split(path.delimiter).filter(Boolean).map(dir => path.resolve(dir))
+  : [GAMES_DIR];
+const DEFAULT_GAME = path.basename(process.env.DEFAULT_GAME || 'zork1.zip');
 
-// Simplified Z-machine text adventure engine
-// This is a placeholder - for full Z-machine support, integrate ebozz or zmachine-core
-class ZMachineAPI {
-  constructor(storyFile) {
-    this.storyFile = storyFile;
-    this.outputBuffer = '';
-    this.inputBuffer = '';
-    this.gameStarted = false;
-    this.gameEnded = false;
-    this.location = 'field';
-    this.inventory = [];
-    this.openedMailbox = false;
+const SLOT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Slot names must be strings: RegExp.test would accept 5 as "5", but the slots map would not
+function validSlot(slot) {
+  return typeof slot === 'string' && SLOT_NAME.test(slot);
+}
+
+// Longest batch or walkthrough accepted, longest stopOn pattern, and how long
+// it may take to test one output
+const MAX_BATCH_INPUTS = parseInt(process.env.MAX_BATCH_INPUTS, 10) || 5000;
+const MAX_PATTERN_LENGTH = 500;
+const PATTERN_TIMEOUT = 100;
+
+// Completions returned by default and at most
+const DEFAULT_COMPLETIONS = 10;
+const MAX_COMPLETIONS = 100;
+
+// Story uploads are held in memory while they are checked
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 16 * 1024 * 1024;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 }
+}).single('file');
+
+// Helper functions
+// Validate ?format= (plain, html, ansi or runs) or send a 400
+function requestedFormat(req, res) {
+  const format = req.query.format || 'plain';
+  if (!FORMATS.includes(format)) {
+    res.status(400).json({ error: `Unknown format: ${format} (expected ${FORMATS.join(', ')})` });
+    return null;
   }
+  return format;
+}
 
-  start() {
-    this.gameStarted = true;
-    return this.getWelcomeMessage();
+// Accept tags as a JSON array or a comma-separated list (multipart fields are strings)
+function parseTags(tags) {
+  if (typeof tags !== 'string') return tags;
+  if (tags.trim().startsWith('[')) {
+    try {
+      return JSON.parse(tags);
+    } catch (error) {
+      return tags;
+    }
   }
+  return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+}
 
-  input(command) {
-    this.inputBuffer = command;
-    return this.run();
+// Check batch inputs (strings, or { key } for key presses) and options; throws on bad input
+function readBatch(inputs, { stopOn, stopOnEnd }) {
+  if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > MAX_BATCH_INPUTS) {
+    throw new Error(`Send 1 to ${MAX_BATCH_INPUTS} commands`);
   }
 
-  run() {
-    if (!this.gameStarted) {
-      this.gameStarted = true;
-      return this.getWelcomeMessage();
-    }
+  const items = inputs.map((item) => {
+    if (typeof item === 'string') return item;
+    if (item && typeof item.key === 'string') return { key: item.key, parsed: parseKey(item.key) };
+    throw new Error('Each command must be a string or { "key": "..." }');
+  });
 
-    if (this.inputBuffer) {
-      this.outputBuffer = this.processCommand(this.inputBuffer);
-      this.inputBuffer = '';
+  let pattern = null;
+  if (stopOn !== undefined && stopOn !== null && stopOn !== '') {
+    if (typeof stopOn !== 'string' || stopOn.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`stopOn must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`);
     }
+    pattern = compilePattern(stopOn);
+  }
+
+  return { items, options: { stopOn: pattern, stopOnEnd: stopOnEnd !== false && stopOnEnd !== 'false' } };
+}
 
-    return this.outputBuffer;
+// A client's stopOn pattern, compiled and tested in a V8 context of its own so
+// that one which backtracks catastrophically is stopped after PATTERN_TIMEOUT ms
+// instead of holding the event loop every session shares
+function compilePattern(source) {
+  const context = vm.createContext({ source, text: '' });
+  try {
+    vm.runInContext('pattern = new RegExp(source)', context);
+  } catch (error) {
+    throw new Error(`Invalid stopOn pattern: ${error.message}`);
   }
+  const match = new vm.Script('pattern.test(text)');
+
+  return {
+    test(output) {
+      context.text = String(output);
+      try {
+        return match.runInContext(context, { timeout: PATTERN_TIMEOUT });
+      } catch (error) {
+        throw new Error(error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+          ? `stopOn took longer than ${PATTERN_TIMEOUT} ms to test the output`
+          : `stopOn failed: ${error.message}`);
+      }
+    }
+  };
+}
 
-  getWelcomeMessage() {
-    return `ZORK I: The Great Underground Empire
-Infocom interactive fiction - a fantasy story
-Copyright (c) 1981, 1982, 1983, 1984, 1985, 1986 Infocom, Inc. All Rights Reserved.
-ZORK is a registered trademark of Infocom, Inc.
+// Walkthrough text: one command per line; blank lines and # comments are skipped
+function parseWalkthrough(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() && !line.trimStart().startsWith('#'));
+}
 
-Release 119 / Serial number 880429
+// Batch results for the response, with output rendered and errors made safe
+function batchResults(results, format) {
+  return results.map(({ input, output, runs, error, ...rest }) => (error
+    ? { input, error: publicMessage(error) }
+    : { input, output: renderOutput(output, runs, format), ...rest }));
+}
 
-West of House
-You are standing in an open field west of a white house, with a boarded front door.
-There is a small mailbox here.
+// What the session's watchpoints caught in the last turn, for sessions that have any
+function watchFields(session) {
+  return session.watches.size ? { watchHits: session.watchHits } : {};
+}
 
->`;
+// Look up a session or send a 404
+function findSession(req, res) {
+  const session = sessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
   }
+  return session;
+}
 
-  processCommand(cmd) {
-    const words = cmd.toLowerCase().trim().split(/\s+/);
-    if (words.length === 0) return '>';
+// API Endpoints
 
-    const verb = words[0];
-    const noun = words.slice(1).join(' ');
+// List available games with their story header metadata
+app.get('/api/games', (req, res) => {
+  res.json({ games: listGames(LIBRARY_ROOTS) });
+});
 
-    // Navigation
-    if (verb === 'look' || verb === 'l') {
-      return this.doLook();
-    } else if (verb === 'go' || verb === 'walk' || verb === 'move') {
-      return this.doGo(noun);
-    } else if (['north', 'n', 'south', 's', 'east', 'e', 'west', 'w', 'up', 'u', 'down', 'd'].includes(verb)) {
-      return this.doGo(verb);
+// Changing the library needs the admin token, since it writes and deletes files on disk.
+// Upload a story file (multipart "file" field, optional title, description and tags)
+app.post('/api/games', requireAdmin, (req, res) => {
+  upload(req, res, (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: uploadError.message });
     }
-    // Object interaction
-    else if (verb === 'open' || verb === 'unlock') {
-      return this.doOpen(noun);
-    } else if (verb === 'take' || verb === 'get' || verb === 'grab' || verb === 'pick') {
-      return this.doTake(noun);
-    } else if (verb === 'drop') {
-      return this.doDrop(noun);
-    } else if (verb === 'inventory' || verb === 'i' || verb === 'inv') {
-      return this.doInventory();
-    } else if (verb === 'examine' || verb === 'x' || verb === 'look' && noun) {
-      return this.doExamine(noun);
-    } else if (verb === 'read') {
-      return this.doRead(noun);
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a story in the "file" field' });
     }
-    // Meta commands
-    else if (verb === 'help') {
-      return this.doHelp();
-    } else if (verb === 'quit' || verb === 'q') {
-      return this.doQuit();
-    } else if (verb === 'score') {
-      return this.doScore();
-    } else if (verb === 'wait') {
-      return this.doWait();
-    } else if (verb === 'restart') {
-      return this.doRestart();
-    } else {
-      return "I don't understand that command. Type 'help' for a list of commands.\n>";
+
+    try {
+      const { title, description, tags } = req.body || {};
+      const game = addGame(LIBRARY_ROOTS, req.file.buffer, req.file.originalname, {
+        title,
+        description,
+        tags: parseTags(tags)
+      });
+      res.status(201).json(game);
+    } catch (error) {
+      sendError(res, error);
     }
+  });
+});
+
+// Edit a game's title, description or tags
+app.patch('/api/games/:gameId', requireAdmin, (req, res) => {
+  try {
+    const { title, description, tags } = req.body || {};
+    res.json(updateGame(LIBRARY_ROOTS, req.params.gameId, { title, description, tags: parseTags(tags) }));
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  doLook() {
-    if (this.location === 'field') {
-      let msg = `West of House
-You are standing in an open field west of a white house, with a boarded front door.
-There is a small mailbox here.`;
-      if (this.inventory.length > 0) {
-        msg += '\n\nYou are carrying:\n  ' + this.inventory.join('\n  ');
-      }
-      return msg + '\n>';
-    } else if (this.location === 'porch') {
-      return `Front Porch
-You are on the porch of the white house. The front door is to the east.
-The windows are boarded up. A path leads west back to the field.
+// Remove a game from the library
+app.delete('/api/games/:gameId', requireAdmin, (req, res) => {
+  try {
+    removeGame(LIBRARY_ROOTS, req.params.gameId);
+    res.json({ success: true, message: 'Game deleted' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
->`;
-    }
-    return `Unknown location.
->`;
-  }
-
-  doGo(direction) {
-    const dir = direction.toLowerCase();
-    
-    if (this.location === 'field') {
-      if (dir === 'east' || dir === 'e') {
-        this.location = 'porch';
-        return `You go around to the front of the house and climb the porch.
->`;
-      } else if (dir === 'north' || dir === 'south' || dir === 'west' || dir === 'w') {
-        return `You would only find more fields that way.
->`;
-      }
-    } else if (this.location === 'porch') {
-      if (dir === 'west' || dir === 'w' || dir === 'back') {
-        this.location = 'field';
-        return `You go back to the open field.
->`;
-      } else if (dir === 'east' || dir === 'e' || dir === 'enter' || dir === 'in') {
-        return `The door is locked. You need to find another way in.
->`;
-      }
-    }
-    return `You can't go that way.
->`;
-  }
-
-  doOpen(thing) {
-    if (thing === 'mailbox' || thing === 'box') {
-      this.openedMailbox = true;
-      return `You open the mailbox. Inside, you see a brochure.
->`;
-    } else if (thing === 'door') {
-      return `It's locked. You need a key or another way in.
->`;
-    } else if (thing === 'window') {
-      return `The windows are boarded up. You can't open them.
->`;
-    }
-    return `You can't open that.
->`;
+// Get one game's metadata
+app.get('/api/games/:gameId', (req, res) => {
+  const game = getGame(LIBRARY_ROOTS, req.params.gameId);
+
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
   }
 
-  doTake(thing) {
-    if (this.location !== 'field') {
-      return `You don't see that here.
->`;
-    }
-    
-    // Handle knife
-    if (thing === 'knife' || thing === 'rusty knife' || thing === 'rusty') {
-      if (this.inventory.includes('rusty knife')) {
-        return `You already have that.
->`;
-      }
-      this.inventory.push('rusty knife');
-      return `Taken.
->`;
-    }
-    
-    // Handle brochure
-    if (thing === 'brochure' || thing === 'paper' || thing === 'mail') {
-      if (!this.openedMailbox) {
-        return `You don't see that here. Maybe you should open the mailbox first?
->`;
-      }
-      if (this.inventory.includes('brochure')) {
-        return `You already have that.
->`;
-      }
-      this.inventory.push('brochure');
-      return `Taken.
->`;
-    }
-    
-    if (thing === 'mailbox') {
-      return `That's fixed in place.
->`;
+  res.json(game);
+});
+
+// Get a Blorb game's iFiction metadata record
+app.get('/api/games/:gameId/ifiction', (req, res) => {
+  try {
+    const story = readGameStory(LIBRARY_ROOTS, req.params.gameId);
+    if (!story || !story.ifiction) {
+      return res.status(404).json({ error: 'No iFiction metadata for this game' });
     }
-    return `You don't see that here.
->`;
+
+    res.type('application/x-ifiction+xml').send(story.ifiction);
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  doDrop(thing) {
-    if (thing === 'knife' || thing === 'rusty knife' || thing === 'rusty') {
-      const idx = this.inventory.indexOf('rusty knife');
-      if (idx >= 0) {
-        this.inventory.splice(idx, 1);
-        return `Dropped.
->`;
-      }
+// List every word in a game's dictionary, as the game stores them (truncated)
+app.get('/api/games/:gameId/dictionary', (req, res) => {
+  try {
+    const game = getGame(LIBRARY_ROOTS, req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
     }
-    return `You don't have that.
->`;
+
+    const { separators, wordLength, words } = readDictionary(readGameStory(LIBRARY_ROOTS, game.id).story);
+    res.json({ gameId: game.id, wordLength, separators, count: words.length, words });
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  doInventory() {
-    if (this.inventory.length === 0) {
-      return `You are not carrying anything.
->`;
-    }
-    return `You are carrying:\n  ${this.inventory.join('\n  ')}\n>`;
-  }
-
-  doExamine(thing) {
-    if (thing === 'mailbox' || thing === 'box') {
-      return `It's a small US mailbox, painted blue. There's a small slot in it.${this.openedMailbox ? ' It\'s open.' : ''}
->`;
-    } else if (thing === 'knife' || thing === 'rusty knife' || thing === 'rusty') {
-      return this.inventory.includes('rusty knife') 
-        ? `It's a rusty knife. The blade is pitted from years of exposure. You could take it if you want.
->`
-        : `A rusty knife is stuck in the ground here. The blade is pitted from years of exposure.
->`;
-    } else if (thing === 'door' && this.location === 'porch') {
-      return `The front door is locked. It's a heavy wooden door with iron reinforcements.
->`;
-    } else if (thing === 'brochure' || thing === 'paper') {
-      return `A brochure for the "Great Underground Empire". It mentions something about a thief and treasures...
->`;
-    } else if (thing === 'house' && this.location === 'field') {
-      return `The house is a three-story Georgian-style house, painted white. The front door is boarded up.
->`;
+// Get a Blorb game's cover art (its frontispiece picture)
+app.get('/api/games/:gameId/cover', (req, res) => {
+  try {
+    const story = readGameStory(LIBRARY_ROOTS, req.params.gameId);
+    if (!story || !story.cover) {
+      return res.status(404).json({ error: 'No cover art for this game' });
     }
-    return `You see nothing special about that.
->`;
+
+    res.type(story.cover.format === 'jpeg' ? 'image/jpeg' : 'image/png').send(story.cover.data);
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  doRead(thing) {
-    if (thing === 'brochure' || thing === 'paper') {
-      if (this.inventory.includes('brochure')) {
-        return `"WELCOME TO THE GREAT UNDERGROUND EMPIRE!
-A world of excitement, adventure, and danger awaits you.
-Discover the treasures of Zork!
+// Start and register a session for a client; throws if it cannot start.
+// fork is a fork point from EngineSession.forkPoint to start from instead.
+async function startSession(req, params, { saveData = null, fork = null } = {}) {
+  const {
+    gameId, gamePath, engine: engineName, turnTimeout, instructionBudget, maxQueueDepth, idleTtl, inspector,
+    autoRestart
+  } = params;
+  const sessionId = crypto.randomUUID();
+  let session = null;
 
-Note: The Front Door is locked. Try the West of House...
-`;
-      }
-      return `You don't have anything to read.
->`;
-    } else if (thing === 'mailbox') {
-      return `The mailbox is too dirty to read.
->`;
+  try {
+    const engine = getEngine(engineName || defaultEngine());
+    if (saveData && !engine.quetzal) {
+      throw new Error(`The ${engine.name} engine cannot load Quetzal saves`);
     }
-    return `You can't read that.
->`;
-  }
 
-  doScore() {
-    const score = this.inventory.length * 10;
-    return `Your score is ${score}.
->`;
-  }
+    sessions.reserve(sessionId, req.ip);
+
+    // gamePath is the listing's path (/games/<file>); both resolve only within the library
+    const game = openGame(LIBRARY_ROOTS, gameId || gamePath || DEFAULT_GAME);
+    session = engine.createSession(game, {
+      quetzal: saveData,
+      turnTimeout: parseInt(turnTimeout, 10) || undefined,
+      instructionBudget: parseInt(instructionBudget, 10) || undefined,
+      maxQueueDepth: parseInt(maxQueueDepth, 10) || undefined,
+      inspector: inspectorEnabled(inspector),
+      autoRestart,
+      ...(fork ? fork.options : {})
+    });
+    const output = fork ? await session.launchFork(fork) : await session.launch();
 
-  doWait() {
-    return `Time passes...
->`;
-  }
+    sessions.add(sessionId, session, {
+      clientId: req.ip,
+      idleTtl: parseInt(idleTtl, 10) || undefined
+    });
 
-  doRestart() {
-    this.location = 'field';
-    this.inventory = [];
-    this.openedMailbox = false;
-    this.gameStarted = false;
-    return this.start();
+    return { sessionId, session, engine, game, output };
+  } catch (error) {
+    sessions.release(sessionId);
+    // Don't leave an interpreter running for a session nobody can reach
+    if (session && !sessions.has(sessionId)) session.close('failed');
+    throw error;
   }
+}
 
-  doHelp() {
-    return `Available commands:
-  look / l              - Look around
-  go [direction]        - Move (north/south/east/west/up/down)
-  open [thing]          - Open something
-  take [thing]          - Pick something up
-  drop [thing]          - Drop something
-  inventory / i         - Check what you're carrying
-  examine / x [thing]   - Look at something closely
-  read [thing]          - Read something
-  score                 - Check your score
-  wait                  - Wait for a while
-  restart               - Start the game over
-  help                  - Show this message
-  quit / q              - Quit the game
->`;
-  }
+// Start a new game session, optionally resuming from a Quetzal save
+// (JSON "quetzal" field in base64, or a raw application/octet-stream body)
+app.post('/api/sessions', async (req, res) => {
+  const upload = Buffer.isBuffer(req.body) ? req.body : null;
+  const params = upload ? req.query : (req.body || {});
+
+  try {
+    const saveData = upload || (params.quetzal ? Buffer.from(params.quetzal, 'base64') : null);
+    const { sessionId, session, engine, game, output } = await startSession(req, params, { saveData });
 
-  doQuit() {
-    this.gameEnded = true;
-    return `Would you like to quit? (Y)es or (N)o: >`;
+    res.json({
+      sessionId,
+      engine: engine.name,
+      output: output,
+      mainText: output,
+      upperWindow: session.upperWindow,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state,
+      gameId: game.id,
+      gamePath: game.path
+    });
+  } catch (error) {
+    sendError(res, error);
   }
-}
+});
 
-// Helper functions
-function loadGame(gamePath) {
-  const fullPath = path.resolve(gamePath);
-  if (!fs.existsSync(fullPath)) {
-    throw new Error(`Game file not found: ${fullPath}`);
+// Start a fresh session, play a whole walkthrough and report where it ended up.
+// The walkthrough is "commands" (an array), "walkthrough" (text, one command per
+// line) or a raw text/plain body with the other fields in the query string.
+app.post('/api/replay', async (req, res) => {
+  const raw = typeof req.body === 'string' ? req.body : null;
+  const params = raw !== null ? req.query : (req.body || {});
+  const format = requestedFormat(req, res);
+  if (!format) return;
+
+  let started = null;
+  try {
+    const text = raw !== null ? raw : params.walkthrough;
+    const inputs = typeof text === 'string' ? parseWalkthrough(text) : params.commands;
+    const { items, options } = readBatch(inputs, params);
+    const keep = params.keepSession === true || params.keepSession === 'true';
+
+    started = await startSession(req, params);
+    const { sessionId, session, engine, game } = started;
+    const { results, stopped } = await session.batch(items, options);
+    const last = results.filter(result => !result.error).pop();
+
+    res.json({
+      ...(keep ? { sessionId } : {}),
+      engine: engine.name,
+      gameId: game.id,
+      gamePath: game.path,
+      total: items.length,
+      completed: results.filter(result => !result.error).length,
+      stopped,
+      error: stopped === 'error' ? publicMessage(results[results.length - 1].error) : undefined,
+      turns: session.turns,
+      output: last ? renderOutput(last.output, last.runs, format) : renderOutput(started.output, null, format),
+      mainText: last ? last.output : started.output,
+      upperWindow: session.upperWindow,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state,
+      ...(params.includeResults === true || params.includeResults === 'true'
+        ? { results: batchResults(results, format) }
+        : {})
+    });
+
+    if (!keep) session.close('replayed');
+  } catch (error) {
+    if (started) started.session.close('replayed');
+    sendError(res, error);
   }
-  const storyFile = fs.readFileSync(fullPath);
-  return { storyFile, fullPath };
-}
+});
 
-// API Endpoints
+// Send input to a game session
+app.post('/api/sessions/:sessionId/input', async (req, res) => {
+  const { sessionId } = req.params;
+  const { command } = req.body || {};
 
-// List available games
-app.get('/api/games', (req, res) => {
-  const gamesDir = path.join(__dirname, 'games');
-  const games = [];
-
-  if (fs.existsSync(gamesDir)) {
-    const files = fs.readdirSync(gamesDir);
-    for (const file of files) {
-      if (file.endsWith('.z1') || file.endsWith('.z2') || file.endsWith('.z3') ||
-          file.endsWith('.z4') || file.endsWith('.z5') || file.endsWith('.z6') ||
-          file.endsWith('.z7') || file.endsWith('.z8') || file.endsWith('.zip')) {
-        games.push({
-          name: file,
-          path: `/games/${file}`
-        });
-      }
-    }
+  const session = findSession(req, res);
+  if (!session) return;
+  const format = requestedFormat(req, res);
+  if (!format) return;
+
+  if (typeof command !== 'string') {
+    return res.status(400).json({ error: 'command must be a string' });
   }
 
-  res.json({ games });
+  try {
+    const output = await session.input(command);
+    res.json({
+      sessionId,
+      command,
+      output: renderOutput(output, session.outputRuns, format),
+      mainText: output,
+      upperWindow: session.upperWindow,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state,
+      ...watchFields(session)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
-// Start a new game session
-app.post('/api/sessions', (req, res) => {
-  const { gamePath } = req.body || {};
-  const sessionId = crypto.randomUUID();
+// Roll back the last ?steps= commands (default 1)
+app.post('/api/sessions/:sessionId/undo', async (req, res) => {
+  const { sessionId } = req.params;
+  const session = findSession(req, res);
+  if (!session) return;
+  const format = requestedFormat(req, res);
+  if (!format) return;
+
+  const steps = Number(req.query.steps || (req.body && req.body.steps) || 1);
 
   try {
-    const actualPath = gamePath || DEFAULT_GAME;
-    const { storyFile, fullPath } = loadGame(actualPath);
-    const zmachine = new ZMachineAPI(storyFile);
-    const output = zmachine.start();
-
-    sessions.set(sessionId, {
-      zmachine,
-      gamePath: fullPath,
-      createdAt: new Date().toISOString()
+    const output = await session.undo(steps);
+    res.json({
+      sessionId,
+      steps,
+      output: renderOutput(output, session.outputRuns, format),
+      mainText: output,
+      upperWindow: session.upperWindow,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state,
+      turns: session.turns,
+      undo: session.getInfo().undo
     });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Run several commands in order as one queued task
+app.post('/api/sessions/:sessionId/batch', async (req, res) => {
+  const { sessionId } = req.params;
+  const session = findSession(req, res);
+  if (!session) return;
+  const format = requestedFormat(req, res);
+  if (!format) return;
+
+  try {
+    const { commands, stopOn, stopOnEnd } = req.body || {};
+    const { items, options } = readBatch(commands, { stopOn, stopOnEnd });
+    const { results, stopped } = await session.batch(items, options);
 
     res.json({
       sessionId,
-      output: output,
-      gamePath: fullPath
+      results: batchResults(results, format),
+      completed: results.filter(result => !result.error).length,
+      stopped,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state
     });
   } catch (error) {
-    res.status(400).json({ error: error.message, stack: error.stack });
+    sendError(res, error);
   }
 });
 
-// Send input to a game session
-app.post('/api/sessions/:sessionId/input', (req, res) => {
+// Send a single key press to a game waiting for one (read_char)
+app.post('/api/sessions/:sessionId/key', async (req, res) => {
   const { sessionId } = req.params;
-  const { command } = req.body || {};
+  const { key } = req.body || {};
 
-  const session = sessions.get(sessionId);
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+  const session = findSession(req, res);
+  if (!session) return;
+  const format = requestedFormat(req, res);
+  if (!format) return;
+
+  let parsed;
+  try {
+    parsed = parseKey(key);
+  } catch (error) {
+    return sendError(res, error);
   }
 
   try {
-    const output = session.zmachine.input(command);
+    const output = await session.key(parsed);
     res.json({
       sessionId,
-      command,
-      output
+      key: parsed.name,
+      output: renderOutput(output, session.outputRuns, format),
+      mainText: output,
+      upperWindow: session.upperWindow,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state,
+      ...watchFields(session)
     });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// Get session info
-app.get('/api/sessions/:sessionId', (req, res) => {
+// Start the game over from the beginning, whether or not it has ended
+app.post('/api/sessions/:sessionId/restart', async (req, res) => {
   const { sessionId } = req.params;
-  const session = sessions.get(sessionId);
+  const session = findSession(req, res);
+  if (!session) return;
+  const format = requestedFormat(req, res);
+  if (!format) return;
 
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+  try {
+    const output = await session.restart();
+    res.json({
+      sessionId,
+      output: renderOutput(output, session.outputRuns, format),
+      mainText: output,
+      upperWindow: session.upperWindow,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state,
+      turns: session.turns
+    });
+  } catch (error) {
+    sendError(res, error);
   }
+});
+
+// Start a new session from this one's current state, or from ?steps= commands back.
+// Session info links the two (parentId, children) so clients can draw the branches.
+app.post('/api/sessions/:sessionId/fork', async (req, res) => {
+  const { sessionId } = req.params;
+  const parent = findSession(req, res);
+  if (!parent) return;
+
+  const steps = Number(req.query.steps || (req.body && req.body.steps) || 0);
+
+  try {
+    const fork = await parent.forkPoint(steps);
+    const { sessionId: childId, session, game, output } = await startSession(req, {
+      gameId: parent.gameId,
+      engine: parent.engine,
+      turnTimeout: parent.turnTimeout,
+      instructionBudget: parent.instructionBudget,
+      maxQueueDepth: parent.maxQueueDepth,
+      idleTtl: parent.idleTtl,
+      inspector: parent.inspector,
+      autoRestart: parent.autoRestart
+    }, { fork });
+    parent.children.push(childId);
+
+    res.json({
+      sessionId: childId,
+      parentId: sessionId,
+      forkedFromTurn: session.forkedFromTurn,
+      engine: session.engine,
+      output,
+      mainText: output,
+      upperWindow: session.upperWindow,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state,
+      gameId: game.id,
+      gamePath: game.path
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get session info
+app.get('/api/sessions/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  const session = findSession(req, res);
+  if (!session) return;
 
   res.json({
     sessionId,
-    gamePath: session.gamePath,
-    createdAt: session.createdAt
+    ...session.getInfo()
   });
 });
 
+// Complete the last word of ?prefix= from the game's dictionary, most used first
+app.get('/api/sessions/:sessionId/complete', (req, res) => {
+  const { sessionId } = req.params;
+  const session = findSession(req, res);
+  if (!session) return;
+
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  const limit = Math.max(Math.min(parseInt(req.query.limit, 10) || DEFAULT_COMPLETIONS, MAX_COMPLETIONS), 1);
+
+  try {
+    res.json({ sessionId, prefix, ...session.complete(prefix, limit) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Get current output
 app.get('/api/sessions/:sessionId/output', (req, res) => {
   const { sessionId } = req.params;
-  const session = sessions.get(sessionId);
+  const session = findSession(req, res);
+  if (!session) return;
+  const format = requestedFormat(req, res);
+  if (!format) return;
 
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+  res.json({
+    sessionId,
+    output: renderOutput(session.outputBuffer || '', session.outputRuns, format),
+    mainText: session.outputBuffer || '',
+    upperWindow: session.upperWindow,
+    status: session.status,
+    state: session.state
+  });
+});
+
+// Download the session's full transcript (?format=text|markdown|json|rec, ?download=1)
+app.get('/api/sessions/:sessionId/transcript', (req, res) => {
+  const { sessionId } = req.params;
+  const session = findSession(req, res);
+  if (!session) return;
+
+  const format = resolveTranscriptFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({
+      error: `Unknown format: ${req.query.format} (expected ${Object.keys(TRANSCRIPT_FORMATS).join(', ')})`
+    });
+  }
+
+  const { type, extension } = TRANSCRIPT_FORMATS[format];
+  if (req.query.download || format === 'rec') {
+    res.attachment(`${path.basename(session.gamePath, path.extname(session.gamePath))}-${sessionId.slice(0, 8)}.${extension}`);
+  }
+  res.type(type).send(renderTranscript(sessionId, session, format));
+});
+
+// Stream session events (SSE here, WebSocket via the upgrade handler)
+registerStreamRoutes(app, sessions);
+
+// Admin listing and controls (need ADMIN_TOKEN)
+registerAdminRoutes(app, sessions);
+
+// Object tree debug routes (off unless INSPECTOR allows them)
+registerInspectorRoutes(app, sessions);
+
+// Export the current game state as a Quetzal save file
+app.get('/api/sessions/:sessionId/save.qzl', async (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+
+  if (!session.exportQuetzal) {
+    return res.status(501).json({ error: `The ${session.engine} engine cannot write Quetzal saves` });
   }
 
+  try {
+    const data = await session.enqueue(() => session.exportQuetzal());
+    res.set('Content-Type', 'application/x-quetzal');
+    res.attachment(`${path.basename(session.gamePath, path.extname(session.gamePath))}.qzl`);
+    res.send(data);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List save slots for a session
+app.get('/api/sessions/:sessionId/saves', (req, res) => {
+  const { sessionId } = req.params;
+  const session = findSession(req, res);
+  if (!session) return;
+
   res.json({
     sessionId,
-    output: session.zmachine.outputBuffer || ''
+    saves: session.listSaves()
   });
 });
 
+// Save the current game into a named slot
+app.post('/api/sessions/:sessionId/saves', async (req, res) => {
+  const { sessionId } = req.params;
+  const { slot = 'default' } = req.body || {};
+
+  const session = findSession(req, res);
+  if (!session) return;
+
+  if (!validSlot(slot)) {
+    return res.status(400).json({ error: 'Invalid slot name' });
+  }
+
+  try {
+    const entry = await session.enqueue(() => session.save(slot));
+    res.json({
+      sessionId,
+      slot,
+      savedAt: entry.savedAt,
+      turns: entry.turns
+    });
+  } catch (error) {
+    sendError(res, error, 409);
+  }
+});
+
+// Restore the game from a named slot
+app.post('/api/sessions/:sessionId/restore', async (req, res) => {
+  const { sessionId } = req.params;
+  const { slot = 'default' } = req.body || {};
+
+  const session = findSession(req, res);
+  if (!session) return;
+
+  if (!validSlot(slot)) {
+    return res.status(400).json({ error: 'Invalid slot name' });
+  }
+  if (!session.saves.has(slot)) {
+    return res.status(404).json({ error: 'Save slot not found' });
+  }
+
+  try {
+    const output = await session.enqueue(() => session.load(slot));
+    res.json({
+      sessionId,
+      slot,
+      turns: session.turns,
+      output,
+      mainText: output,
+      upperWindow: session.upperWindow,
+      turnEnd: session.turnEnd,
+      status: session.status,
+      state: session.state
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Delete a session
 app.delete('/api/sessions/:sessionId', (req, res) => {
   const { sessionId } = req.params;
 
   if (sessions.has(sessionId)) {
-    sessions.delete(sessionId);
+    sessions.get(sessionId).close('deleted');
     res.json({ success: true, message: 'Session deleted' });
   } else {
     res.status(404).json({ error: 'Session not found' });
@@ -459,16 +762,42 @@ app.delete('/api/sessions/:sessionId', (req, res) => {
 });
 
 // Health check
+// Answers 503 while draining, so load balancers stop sending new players
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.status(sessions.draining ? 503 : 200).json({
+    status: sessions.draining ? 'draining' : 'ok',
+    timestamp: new Date().toISOString(),
+    sessions: sessions.size,
+    defaultEngine: defaultEngine(),
+    engines: describeEngines()
+  });
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Z-Machine API server running on port ${PORT}`);
-  console.log(`Game files: ${path.join(__dirname, 'games')}`);
-  console.log(`Default: ${DEFAULT_GAME}`);
-  console.log('');
-  console.log('Note: Using simplified game engine. For full Z-machine support,');
-  console.log('integrate a proper interpreter like ebozz or zmachine-core.');
+// Errors from body parsing and anything else that escapes a route, without stacks
+app.use((error, req, res, next) => {
+  sendError(res, error);
 });
+
+// Start the server once the engines have been probed
+loadEngines().then(() => {
+  const server = app.listen(PORT, () => {
+    console.log(`Z-Machine API server running on port ${PORT}`);
+    console.log(`Game files: ${LIBRARY_ROOTS.join(', ')}`);
+    console.log(`Default: ${DEFAULT_GAME}`);
+    console.log('');
+    for (const [name, status] of Object.entries(describeEngines())) {
+      console.log(`Engine ${name}: ${status.available ? 'available' : `unavailable (${status.reason})`}`);
+    }
+    console.log(`Default engine: ${defaultEngine()}`);
+  });
+  attachWebSocket(server, sessions);
+  sessions.startSweeper();
+});
+
+// Stop every interpreter (and dfrotz child) on the way out
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    sessions.closeAll('shutdown');
+    process.exit(0);
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * Session registry
+ * Holds the live sessions by ID, enforces the overall and per-client caps,
+ * and sweeps out sessions that have been idle longer than their TTL.
+ * Closing a session (for any reason) removes it from the registry.
+ */
+
+const { SessionError } = require('./engines/session');
+
+const DEFAULT_IDLE_TTL = parseInt(process.env.SESSION_IDLE_TTL, 10) || 30 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL = parseInt(process.env.SESSION_SWEEP_INTERVAL, 10) || 60 * 1000;
+const DEFAULT_MAX_SESSIONS = parseInt(process.env.MAX_SESSIONS, 10) || 100;
+const DEFAULT_MAX_PER_CLIENT = parseInt(process.env.MAX_SESSIONS_PER_CLIENT, 10) || 10;
+
+class SessionRegistry extends Map {
+  constructor(options = {}) {
+    super();
+    this.idleTtl = options.idleTtl || DEFAULT_IDLE_TTL;
+    this.sweepInterval = options.sweepInterval || DEFAULT_SWEEP_INTERVAL;
+    this.maxSessions = options.maxSessions || DEFAULT_MAX_SESSIONS;
+    this.maxPerClient = options.maxPerClient || DEFAULT_MAX_PER_CLIENT;
+    this.sweeper = null;
+    // Slots held for sessions still starting: sessionId -> clientId
+    this.reserved = new Map();
+    // While draining, running sessions continue but no new ones start
+    this.draining = false;
+  }
+
+  // Throw if another session would go over a cap, counting those still starting
+  checkCapacity(clientId) {
+    if (this.draining) {
+      throw new SessionError('Server is draining and not starting new sessions', 503);
+    }
+    if (this.size + this.reserved.size >= this.maxSessions) {
+      throw new SessionError(`Server is at its limit of ${this.maxSessions} sessions`, 503);
+    }
+
+    const running = Array.from(this.values()).filter(session => session.clientId === clientId).length;
+    const starting = Array.from(this.reserved.values()).filter(owner => owner === clientId).length;
+    if (running + starting >= this.maxPerClient) {
+      throw new SessionError(`Client is at its limit of ${this.maxPerClient} sessions`, 429);
+    }
+  }
+
+  // Hold a slot for a session before it starts, so sessions starting at the
+  // same time can't all pass the caps; add() or release() gives it back
+  reserve(sessionId, clientId) {
+    this.checkCapacity(clientId);
+    this.reserved.set(sessionId, clientId);
+  }
+
+  release(sessionId) {
+    this.reserved.delete(sessionId);
+  }
+
+  // Register a started session; requested TTLs are capped at the server's
+  add(sessionId, session, { clientId = null, idleTtl } = {}) {
+    this.release(sessionId);
+    session.id = sessionId;
+    session.clientId = clientId;
+    session.idleTtl = Math.min(idleTtl || this.idleTtl, this.idleTtl);
+    session.once('closed', () => this.delete(sessionId));
+    this.set(sessionId, session);
+    return session;
+  }
+
+  // Close every session idle past its TTL; returns the IDs closed
+  sweep(now = Date.now()) {
+    const expired = [];
+    for (const [sessionId, session] of this) {
+      if (session.queueDepth === 0 && now - Date.parse(session.lastActivityAt) > session.idleTtl) {
+        expired.push(sessionId);
+        session.close('expired');
+      }
+    }
+    return expired;
+  }
+
+  startSweeper() {
+    if (this.sweeper) return;
+    this.sweeper = setInterval(() => this.sweep(), this.sweepInterval);
+    // The sweeper alone should not keep the process alive
+    this.sweeper.unref();
+  }
+
+  stopSweeper() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+
+  closeAll(reason) {
+    for (const session of Array.from(this.values())) {
+      session.close(reason);
+    }
+  }
+}
+
+module.exports = { SessionRegistry };
@@ -0,0 +1,283 @@
+/**
+ * Story files
+ * Unwraps .zip archives and Blorb containers to the Z-code inside,
+ * parses the Z-machine header and computes the Treaty of Babel IFID
+ */
+
+const zlib = require('zlib');
+
+// Zip entries worth looking inside, best first
+const ZIP_STORY_ENTRY = /\.(z[1-8]|zblorb|zlb|blb|blorb|dat)$/i;
+const ZIP_BLORB_ENTRY = /\.(zblorb|zlb|blb|blorb)$/i;
+
+// Largest entry unpacked from a zip: the largest legal story (V6-8), or a
+// Blorb with pictures and sounds, up to the upload limit. Anything claiming
+// more is refused before it is inflated.
+const MAX_STORY_SIZE = 512 * 1024;
+const MAX_BLORB_SIZE = 16 * 1024 * 1024;
+
+// Packed file length multiplier by version (header word 0x1a)
+function lengthMultiplier(version) {
+  if (version <= 3) return 2;
+  if (version <= 5) return 4;
+  return 8;
+}
+
+// Header words holding addresses that must lie inside the story, past the header
+const HEADER_ADDRESSES = [
+  [0x04, 'high memory'],
+  [0x08, 'dictionary'],
+  [0x0a, 'object table'],
+  [0x0c, 'globals'],
+  [0x0e, 'static memory']
+];
+
+// Why data cannot be a Z-code story, or null if its header holds together
+function headerProblem(data) {
+  if (!Buffer.isBuffer(data) || data.length < 0x40) {
+    return 'File is too short to be a Z-code story';
+  }
+
+  const version = data[0];
+  if (version < 1 || version > 8) {
+    return `Unsupported Z-machine version: ${version}`;
+  }
+
+  const length = data.readUInt16BE(0x1a) * lengthMultiplier(version);
+  if (length > data.length) {
+    return `Header gives a length of ${length} bytes, but the file has ${data.length}`;
+  }
+
+  for (const [offset, name] of HEADER_ADDRESSES) {
+    const address = data.readUInt16BE(offset);
+    if (address < 0x40 || address >= data.length) {
+      return `Header ${name} address 0x${address.toString(16)} is outside the story`;
+    }
+  }
+  return null;
+}
+
+// Stories may embed their IFID as UUID://...//
+const EMBEDDED_IFID = /UUID:\/\/([0-9A-Fa-f-]{36})\/\//;
+
+function computeIfid(data, header) {
+  const embedded = EMBEDDED_IFID.exec(data.toString('latin1'));
+  if (embedded) {
+    return embedded[1].toUpperCase();
+  }
+
+  const serial = header.serial.replace(/[^0-9A-Za-z]/g, '-');
+  // Infocom-era serials (dates from 198x/199x) identify a story without the checksum
+  if (/^[89]\d{5}$/.test(serial)) {
+    return `ZCODE-${header.release}-${serial}`;
+  }
+  return `ZCODE-${header.release}-${serial}-${header.checksum.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Parse a Z-code story's header.
+ * Returns { version, release, serial, checksum, fileLength, checksumValid, ifid }
+ * or throws if the data is not a Z-code story.
+ */
+function parseStoryHeader(data) {
+  const problem = headerProblem(data);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const version = data[0];
+  const header = {
+    version,
+    release: data.readUInt16BE(0x02),
+    serial: data.toString('latin1', 0x12, 0x18),
+    checksum: data.readUInt16BE(0x1c)
+  };
+
+  // Very early stories leave the length at 0; use the whole file then
+  const packedLength = data.readUInt16BE(0x1a);
+  const fileLength = packedLength ? packedLength * lengthMultiplier(version) : data.length;
+
+  let sum = 0;
+  for (let i = 0x40; i < fileLength; i++) {
+    sum = (sum + data[i]) & 0xffff;
+  }
+
+  return {
+    ...header,
+    fileLength,
+    checksumValid: sum === header.checksum,
+    ifid: computeIfid(data, header)
+  };
+}
+
+function isZcode(data) {
+  return headerProblem(data) === null;
+}
+
+function isBlorb(data) {
+  return data.length >= 12 && data.toString('latin1', 0, 4) === 'FORM' &&
+    data.toString('latin1', 8, 12) === 'IFRS';
+}
+
+function isZip(data) {
+  return data.length >= 4 && data.readUInt32LE(0) === 0x04034b50;
+}
+
+// Read the central directory: [{ name, method, compressedSize, uncompressedSize, offset }]
+function readZipEntries(data) {
+  // End of central directory record: at least 22 bytes, comment up to 64 KB
+  let eocd = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+    if (data.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Zip archive has no central directory');
+  }
+
+  const count = data.readUInt16LE(eocd + 10);
+  let offset = data.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > data.length || data.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const nameLength = data.readUInt16LE(offset + 28);
+    entries.push({
+      name: data.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: data.readUInt16LE(offset + 10),
+      compressedSize: data.readUInt32LE(offset + 20),
+      uncompressedSize: data.readUInt32LE(offset + 24),
+      offset: data.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + data.readUInt16LE(offset + 30) + data.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+function readZipEntry(data, entry) {
+  const limit = ZIP_BLORB_ENTRY.test(entry.name) ? MAX_BLORB_SIZE : MAX_STORY_SIZE;
+  if (entry.uncompressedSize > limit || (entry.method === 0 && entry.compressedSize > limit)) {
+    throw new Error(`Zip entry ${entry.name} is larger than ${limit} bytes`);
+  }
+
+  const header = entry.offset;
+  if (header + 30 > data.length || data.readUInt32LE(header) !== 0x04034b50) {
+    throw new Error(`Corrupt zip entry: ${entry.name}`);
+  }
+
+  const start = header + 30 + data.readUInt16LE(header + 26) + data.readUInt16LE(header + 28);
+  const compressed = data.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return Buffer.from(compressed);
+  if (entry.method === 8) {
+    // The directory's size can lie, so the inflater is capped as well
+    try {
+      return zlib.inflateRawSync(compressed, { maxOutputLength: limit });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`Zip entry ${entry.name} is larger than ${limit} bytes`);
+      }
+      throw error;
+    }
+  }
+  throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+}
+
+// Blorb chunks by type, plus the resource index: { chunks, resources }
+function readBlorb(data) {
+  const end = Math.min(data.length, 8 + data.readUInt32BE(4));
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= end) {
+    const length = data.readUInt32BE(offset + 4);
+    chunks.push({
+      type: data.toString('latin1', offset, offset + 4),
+      offset,
+      data: data.subarray(offset + 8, Math.min(end, offset + 8 + length))
+    });
+    offset += 8 + length + (length % 2);
+  }
+
+  const resources = [];
+  const index = chunks.find(chunk => chunk.type === 'RIdx');
+  if (index) {
+    const count = index.data.readUInt32BE(0);
+    for (let i = 0; i < count; i++) {
+      const entry = 4 + i * 12;
+      const start = index.data.readUInt32BE(entry + 8);
+      resources.push({
+        usage: index.data.toString('latin1', entry, entry + 4),
+        number: index.data.readUInt32BE(entry + 4),
+        chunk: chunks.find(chunk => chunk.offset === start)
+      });
+    }
+  }
+
+  return { chunks, resources };
+}
+
+function unwrapBlorb(data) {
+  const { chunks, resources } = readBlorb(data);
+
+  const exec = resources.find(res => res.usage === 'Exec' && res.number === 0);
+  const zcode = (exec && exec.chunk) || chunks.find(chunk => chunk.type === 'ZCOD');
+  if (!zcode || zcode.type !== 'ZCOD') {
+    throw new Error('Blorb file has no Z-code executable');
+  }
+
+  const ifmd = chunks.find(chunk => chunk.type === 'IFmd');
+  const fspc = chunks.find(chunk => chunk.type === 'Fspc');
+  const pict = fspc && resources.find(res => res.usage === 'Pict' && res.number === fspc.data.readUInt32BE(0));
+
+  return {
+    story: Buffer.from(zcode.data),
+    ifiction: ifmd ? ifmd.data.toString('utf8') : null,
+    cover: pict && pict.chunk
+      ? { format: pict.chunk.type.trim().toLowerCase(), data: Buffer.from(pict.chunk.data) }
+      : null
+  };
+}
+
+function unwrapZip(data) {
+  const candidates = readZipEntries(data)
+    .filter(entry => ZIP_STORY_ENTRY.test(entry.name) && !entry.name.endsWith('/'));
+
+  for (const entry of candidates) {
+    const contents = readZipEntry(data, entry);
+    if (isBlorb(contents)) {
+      return { ...unwrapBlorb(contents), container: 'zip+blorb', entry: entry.name };
+    }
+    if (isZcode(contents)) {
+      return { story: contents, container: 'zip', entry: entry.name, ifiction: null, cover: null };
+    }
+  }
+
+  throw new Error('Zip archive contains no Z-code story');
+}
+
+/**
+ * Find the Z-code in a story file, whatever it is wrapped in.
+ * Returns { story, container, entry, ifiction, cover } where container is
+ * 'zcode', 'blorb', 'zip' or 'zip+blorb' and cover is { format, data }.
+ */
+function loadStory(data) {
+  if (isZip(data)) {
+    return unwrapZip(data);
+  }
+  if (isBlorb(data)) {
+    return { ...unwrapBlorb(data), container: 'blorb', entry: null };
+  }
+  return { story: data, container: 'zcode', entry: null, ifiction: null, cover: null };
+}
+
+module.exports = {
+  loadStory,
+  parseStoryHeader,
+  computeIfid
+};
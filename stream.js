@@ -0,0 +1,156 @@
+/**
+ * Live session streams
+ * GET /api/sessions/:sessionId/stream serves Server-Sent Events, and a
+ * WebSocket upgrade on the same path adds two-way play. Every viewer gets
+ * the same events; WebSocket viewers can also send commands.
+ *
+ * Add ?format=html|ansi|runs to receive output in that format (see format.js).
+ *
+ * Server to client: { type: 'attached' | 'output' | 'status' | 'notice' | 'ended' | 'closed' | 'error', ... }
+ * Client to server (WebSocket): { type: 'command', command }
+ */
+
+const { WebSocketServer } = require('ws');
+const { FORMATS, renderOutput } = require('./format');
+const { publicMessage } = require('./errors');
+
+const STREAM_PATH = /^\/api\/sessions\/([^/]+)\/stream\/?$/;
+const HEARTBEAT_INTERVAL = 15000;
+
+// Forward a session's events to one viewer until either side goes away
+function subscribe(session, format, send, onClosed) {
+  const onOutput = ({ runs, output, ...event }) => send({
+    type: 'output',
+    ...event,
+    output: renderOutput(output, runs, format),
+    mainText: output
+  });
+  const onStatus = (status) => send({ type: 'status', status });
+  const onNotice = (notice) => send({ type: 'notice', ...notice });
+  const onEnded = (event) => send({ type: 'ended', ...event });
+  const onClose = (event) => {
+    send({ type: 'closed', ...event });
+    onClosed();
+  };
+
+  session.on('output', onOutput);
+  session.on('status', onStatus);
+  session.on('notice', onNotice);
+  session.on('ended', onEnded);
+  session.on('closed', onClose);
+
+  return () => {
+    session.removeListener('output', onOutput);
+    session.removeListener('status', onStatus);
+    session.removeListener('notice', onNotice);
+    session.removeListener('ended', onEnded);
+    session.removeListener('closed', onClose);
+  };
+}
+
+function attachedEvent(sessionId, session, format) {
+  return {
+    type: 'attached',
+    sessionId,
+    ...session.getInfo(),
+    output: renderOutput(session.outputBuffer || '', session.outputRuns, format),
+    mainText: session.outputBuffer || '',
+    upperWindow: session.upperWindow
+  };
+}
+
+function registerStreamRoutes(app, sessions) {
+  app.get('/api/sessions/:sessionId/stream', (req, res) => {
+    const { sessionId } = req.params;
+    const session = sessions.get(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const format = req.query.format || 'plain';
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unknown format: ${format}` });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+    const unsubscribe = subscribe(session, format, send, () => res.end());
+
+    send(attachedEvent(sessionId, session, format));
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+}
+
+function attachWebSocket(server, sessions) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = STREAM_PATH.exec(url.pathname);
+    const session = match && sessions.get(decodeURIComponent(match[1]));
+    const format = url.searchParams.get('format') || 'plain';
+
+    if (!session) {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    if (!FORMATS.includes(format)) {
+      socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const send = (event) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+      };
+      const unsubscribe = subscribe(session, format, send, () => ws.close(1000, 'Session closed'));
+
+      send(attachedEvent(match[1], session, format));
+
+      ws.on('message', async (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (e) {
+          return send({ type: 'error', error: 'Messages must be JSON' });
+        }
+
+        if (message.type !== 'command' || typeof message.command !== 'string') {
+          return send({ type: 'error', error: 'Expected { "type": "command", "command": "..." }' });
+        }
+
+        // Output reaches every viewer, this one included, through the 'output' event
+        try {
+          await session.input(message.command);
+        } catch (error) {
+          send({ type: 'error', error: publicMessage(error) });
+        }
+      });
+
+      ws.on('close', unsubscribe);
+    });
+  });
+
+  return wss;
+}
+
+module.exports = {
+  registerStreamRoutes,
+  attachWebSocket
+};
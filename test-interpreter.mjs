@@ -6,6 +6,7 @@
 import('ebozz').then(ebozz => {
   const fs = require('fs');
   const path = require('path');
+  const { loadStory } = require('./story');
 
   const GAME_FILE = path.join(__dirname, 'games', 'zork1.zip');
 
@@ -14,13 +15,14 @@ import('ebozz').then(ebozz => {
   try {
     // Load the game file
     console.log(`Loading game file: ${GAME_FILE}`);
-    const gameData = fs.readFileSync(GAME_FILE);
-    console.log(`File size: ${gameData.length} bytes`);
+    const { story: gameData, container } = loadStory(fs.readFileSync(GAME_FILE));
+    console.log(`Container: ${container}`);
+    console.log(`Story size: ${gameData.length} bytes`);
     
     // Check header
     console.log(`Version: ${gameData[0]}`);
-    console.log(`Release: ${gameData.readUInt16LE(2)}`);
-    console.log(`Serial: ${gameData.slice(21, 27).toString('ascii')}`);
+    console.log(`Release: ${gameData.readUInt16BE(2)}`);
+    console.log(`Serial: ${gameData.slice(0x12, 0x18).toString('ascii')}`);
     
     // Try to create a Z-machine instance
     console.log('\nCreating Z-machine interpreter...');
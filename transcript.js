@@ -0,0 +1,144 @@
+/**
+ * Transcript export
+ * Renders a session's transcript (see EngineSession.record) as plain text,
+ * Markdown, JSON, or a frotz-style .rec command script: one line per input,
+ * with keys that have no printable character written as [zscii], covering
+ * what can be replayed from a fresh start.
+ */
+
+const { parseKey } = require('./engines/keys');
+
+const TRANSCRIPT_FORMATS = {
+  text: { type: 'text/plain', extension: 'txt' },
+  markdown: { type: 'text/markdown', extension: 'md' },
+  json: { type: 'application/json', extension: 'json' },
+  rec: { type: 'text/plain', extension: 'rec' }
+};
+
+// Short names accepted for ?format=
+const FORMAT_ALIASES = { txt: 'text', md: 'markdown' };
+
+function resolveTranscriptFormat(format = 'text') {
+  const name = FORMAT_ALIASES[format] || format;
+  return TRANSCRIPT_FORMATS[name] ? name : null;
+}
+
+function describeInput(entry) {
+  switch (entry.type) {
+    case 'command': return `> ${entry.input}`;
+    case 'key': return `[key: ${entry.input}]`;
+    case 'restore': return `[restored from slot ${entry.input}]`;
+    case 'undo': return isNaN(entry.input) ? `> ${entry.input}` : `[undid ${entry.input} turns]`;
+    case 'fork': return `[forked from session ${entry.input}]`;
+    case 'restart': return entry.input === 'auto' ? '[game restarted automatically]' : '[game restarted]';
+    default: return '[game started]';
+  }
+}
+
+function renderText(header, entries) {
+  const lines = [`Transcript of ${header.gamePath} (${header.engine}), session ${header.sessionId}`];
+  if (header.dropped) lines.push(`(${header.dropped} earlier entries dropped)`);
+
+  for (const entry of entries) {
+    lines.push('', `[${entry.at}] ${describeInput(entry)}`, entry.output.replace(/\n+$/, ''));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function renderMarkdown(header, entries) {
+  const lines = [
+    `# Transcript: ${header.gamePath}`,
+    '',
+    `Engine: ${header.engine}  `,
+    `Session: \`${header.sessionId}\`  `,
+    `Started: ${header.createdAt}`
+  ];
+  if (header.dropped) lines.push('', `_${header.dropped} earlier entries dropped._`);
+
+  for (const entry of entries) {
+    // Fence with more backticks than the output ever runs together
+    const longest = Math.max(2, ...(entry.output.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    lines.push(
+      '',
+      `### ${describeInput(entry).replace(/[\\`*_[\]<>#]/g, '\\$&')}`,
+      '',
+      `_${entry.at}_${entry.script !== null ? ' (in game transcript)' : ''}`,
+      '',
+      fence,
+      entry.output.replace(/\n+$/, ''),
+      fence
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+function recLine(entry) {
+  if (entry.type === 'command') return entry.input;
+  // Undo through the API is the same as typing undo once per turn
+  if (entry.type === 'undo') {
+    return isNaN(entry.input) ? entry.input : new Array(parseInt(entry.input, 10)).fill('undo').join('\n');
+  }
+
+  const key = parseKey(entry.input);
+  return key.zscii >= 32 && key.zscii <= 126 ? key.char : `[${key.zscii}]`;
+}
+
+// A .rec is played into a freshly started game, so it holds the inputs since the
+// game last started or restarted, and stops at a restore or fork: the state those
+// load can't be reached by typing
+function replayableEntries(entries) {
+  let replayable = [];
+  let fresh = false;
+
+  for (const entry of entries) {
+    if (entry.type === 'start' || entry.type === 'restart') {
+      replayable = [];
+      fresh = true;
+    } else if (entry.type === 'restore' || entry.type === 'fork') {
+      fresh = false;
+    } else if (fresh) {
+      replayable.push(entry);
+    }
+  }
+  return replayable;
+}
+
+function renderRec(entries) {
+  return replayableEntries(entries)
+    .filter(entry => ['command', 'key', 'undo'].includes(entry.type))
+    .map(entry => recLine(entry) + '\n')
+    .join('');
+}
+
+// Render a session's transcript; format is a name from resolveTranscriptFormat
+function renderTranscript(sessionId, session, format) {
+  const header = {
+    sessionId,
+    engine: session.engine,
+    gameId: session.gameId,
+    gamePath: session.gamePath,
+    createdAt: session.createdAt,
+    dropped: session.transcriptDropped
+  };
+  const entries = session.transcript;
+
+  switch (format) {
+    case 'text':
+      return renderText(header, entries);
+    case 'markdown':
+      return renderMarkdown(header, entries);
+    case 'json':
+      return JSON.stringify({ ...header, entries }, null, 2);
+    case 'rec':
+      return renderRec(entries);
+    default:
+      throw new Error(`Unknown transcript format: ${format}`);
+  }
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  resolveTranscriptFormat,
+  renderTranscript
+};